@@ -1,23 +1,40 @@
 const Constants = require('./lib/base/Constants');
 const Database = require('./lib/mongo/Database');
+const {
+	getHashingAlgorithm,
+	hashingAlgorithms,
+	registerHashingAlgorithm
+} = require('./lib/misc/algorithms');
+const Ledger = require('./lib/base/Ledger');
+const LightClient = require('./lib/base/LightClient');
+const Mempool = require('./lib/base/Mempool');
+const rules = require('./lib/misc/rules');
+const SignerRegistry = require('./lib/base/SignerRegistry');
+const {
+	getStorageMode,
+	registerStorageMode,
+	storageModes
+} = require('./lib/misc/storage');
+const StorageAdapter = require('./lib/base/StorageAdapter');
 
 module.exports = function(mode = Constants.CHAIN_STORAGE_MODES.NONE) {
-	let Block;
-	let Chain;
+	const { Block, Chain } = getStorageMode(mode);
 
-	switch(mode) {
-		case Constants.CHAIN_STORAGE_MODES.FILE:
-			Block = require('./lib/file/Block');
-			Chain = require('./lib/file/Chain');
-			break;
-		case Constants.CHAIN_STORAGE_MODES.MONGO:
-			Block = require('./lib/mongo/Block');
-			Chain = require('./lib/mongo/Chain');
-			break;
-		default:
-			Block = require('./lib/base/Block.js');
-			Chain = require('./lib/base/Chain.js');
-	}
-
-	return { Block, Chain, Constants, Database };
+	return {
+		Block,
+		Chain,
+		Constants,
+		Database,
+		getHashingAlgorithm,
+		hashingAlgorithms,
+		Ledger,
+		LightClient,
+		Mempool,
+		registerHashingAlgorithm,
+		registerStorageMode,
+		rules,
+		SignerRegistry,
+		StorageAdapter,
+		storageModes,
+	};
 }
\ No newline at end of file
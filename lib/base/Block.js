@@ -1,21 +1,81 @@
 const crypto = require('crypto');
 
-const { SHA256 } = require('../misc/sha');
+const { resolveHashingAlgorithm } = require('../misc/algorithms');
+const { canonicalize, encodingFor } = require('../misc/canonical');
+const { meetsDifficulty } = require('../misc/difficulty');
+const { 
+	merkleProof,
+	merkleRoot,
+	verifyMerkleProof
+} = require('../misc/merkle');
+const miner = require('../misc/miner');
+const { keyId, signHash } = require('../misc/signature');
 
 /**
- * A base class for a simple block. This class is not stateful; extending 
- * classes must implement {@link Block.load} and {@link Block.commit} methods.
+ * @typedef {import('./BlockHeader')} BlockHeader
+ */
+const BlockHeader = require('./BlockHeader');
+
+/**
+ * @typedef {import('./Constants')} Constants
+ */
+const Constants = require('./Constants');
+
+/**
+ * Maps the proxies handed out by {@link Block#data} back to their targets, so 
+ * that a proxied value assigned into block data is stored unwrapped.
+ * @const {WeakMap}
+ */
+const PROXY_TARGETS = new WeakMap();
+
+/**
+ * @param  {*} value
+ * @return {Boolean} - Whether the value is a plain object, an array, a Buffer 
+ * 		or another typed array view, i.e. a value whose nested changes are 
+ * 		tracked by the block data proxy.
+ */
+const isTrackable = (value) => {
+	if(value === null || typeof value !== 'object') {
+		return false;
+	}
+	if(Array.isArray(value) || ArrayBuffer.isView(value)) {
+		return true;
+	}
+	const prototype = Object.getPrototypeOf(value);
+	return prototype === Object.prototype || prototype === null;
+};
+
+/**
+ * @param  {ArrayBufferView} view
+ * @return {Uint8Array} - The bytes of the given Buffer, typed array or 
+ * 		DataView, sharing its memory.
+ */
+const viewBytes = (view) => 
+	new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+
+/**
+ * A base class for a simple block. This class is not stateful; it is written 
+ * and read through a storage adapter, see {@link Block.commit} and the 
+ * static {@link Block.load}, which extending classes may override.
  * 
  * @class Block
  */
 class Block {
 	constructor({
 		data = [],
+		difficulty = Constants.DEFAULT_DIFFICULTY,
 		hash,
-		hashingAlgorithm = SHA256,
+		hashingAlgorithm = Constants.DEFAULT_HASHING_ALGORITHM,
+		height,
+		mine = false,
 		nonce = 0,
 		previous,
-		salt = crypto.randomBytes(8).toString('hex')
+		salt = crypto.randomBytes(8).toString('hex'),
+		signature,
+		signer,
+		timestamp = typeof hash === 'undefined' ? Date.now() : undefined,
+		version = typeof hash === 'undefined' ? 
+			Constants.BLOCK_VERSION : Constants.LEGACY_BLOCK_VERSION
 	}) {
 		// if(!previous) {
 		// 	throw new Error(`Must provide a previous block hash when ` + 
@@ -23,23 +83,25 @@ class Block {
 		// 	console.warn("Previous block hash null or not provided!");
 		// }
 
+		this._hash = hash;
+		this._height = height;
 		this._nonce = nonce;
 		this._previous = previous;
 		this._salt = salt;
-		this._data = data;
-		this._hashingAlgorithm = hashingAlgorithm;
-
-		this._dataProxy = new Proxy(this._data, {
-			set: (target, prop, value) => {
-				if(!target.hasOwnProperty(prop) || target[prop] !== value) {
-    				target[prop] = value;
-    				this._recomputeHash();
-    			}
-    			return true;
-			},
-		});
+		this._signature = signature;
+		this._signer = signer;
+		this._difficulty = difficulty;
+		this._timestamp = timestamp;
+		this._setHashingAlgorithm(hashingAlgorithm);
+		this._version = version;
+		this._mining = null;
+		this._dirty = typeof hash === 'undefined';
+		this._sealed = false;
+		this._setData(data);
 
-		this._recomputeHash();
+		if(mine) {
+			this.mineSync();
+		}
 	}
 
 	get data() {
@@ -47,20 +109,113 @@ class Block {
 	}
 
 	/**
-	 * Sets the data property of the block and updates the block hash to 
-	 * reflect the new data.
+	 * Sets the data property of the block. The block hash is invalidated and 
+	 * the block must be mined again; a mining operation in progress is 
+	 * restarted with the new data.
 	 * 
 	 * @param {*} data - The data to set for the block.
 	 */
 	set data(data) {
-		this._data = data;
-		this._recomputeHash();
+		this._assertUnsealed();
+		this._setData(data);
+		this._invalidate();
+	}
+
+	/**
+	 * The body of the block, i.e. everything not part of its header.
+	 * 
+	 * @return {Object} - `{ data }`.
+	 */
+	get body() {
+		return { data: this._data };
+	}
+
+	/**
+	 * The proof-of-work difficulty of this block, expressed as the number of 
+	 * trailing zeros required of the block hash.
+	 */
+	get difficulty() {
+		return this._difficulty;
 	}
 
 	get hash() {
 		return this._hash;
 	}
 
+	/**
+	 * The registered name of the hashing algorithm of this block, see 
+	 * {@link module:algorithms}.
+	 */
+	get hashingAlgorithm() {
+		return this._hashingAlgorithmName;
+	}
+
+	/**
+	 * The header of the block, which holds every field of the block except 
+	 * its data.
+	 * 
+	 * @return {BlockHeader}
+	 */
+	get header() {
+		return new BlockHeader({
+			difficulty: this._difficulty,
+			hash: this._hash,
+			hashingAlgorithm: this._hashingAlgorithmName,
+			height: this._height,
+			nonce: this._nonce,
+			previous: this._previous,
+			root: this.root,
+			salt: this._salt,
+			signature: this._signature,
+			signer: this._signer,
+			timestamp: this._timestamp,
+			version: this._version,
+		});
+	}
+
+	/**
+	 * The height of the block in its chain, starting at 0 for the genesis 
+	 * block. The height is covered by the hash of current-format blocks, so 
+	 * it must be set before the block is mined; a chain does not fill in the 
+	 * height of a block it is given, and rejects a block without one.
+	 */
+	get height() {
+		return this._height;
+	}
+
+	set height(height) {
+		this._assertUnsealed();
+		if (this._height !== height) {
+			this._height = height;
+			this._invalidate();
+		}
+	}
+
+	/**
+	 * @return {Boolean} - Whether the hashed content of the block changed 
+	 * 		since it was last mined, including changes to nested data entries. 
+	 * 		A block which has never been mined is dirty.
+	 */
+	get isDirty() {
+		return this._dirty;
+	}
+
+	/**
+	 * @return {Boolean} - Whether a {@link Block.mine} operation is currently 
+	 * 		in progress for this block.
+	 */
+	get isMining() {
+		return this._mining !== null;
+	}
+
+	/**
+	 * @return {Boolean} - Whether the block is sealed, see 
+	 * 		{@link Block.seal}.
+	 */
+	get isSealed() {
+		return this._sealed;
+	}
+
 	get nonce() {
 		return this._nonce;
 	}
@@ -69,10 +224,19 @@ class Block {
 		return this._previous;
 	}
 
+	/**
+	 * The Merkle root computed over the data entries of the block. The block 
+	 * hash covers this root rather than the data itself.
+	 */
+	get root() {
+		return merkleRoot(this._entries(), (value) => this._digest(value));
+	}
+
 	set previous(previous) {
+		this._assertUnsealed();
 		if (this._previous !== previous) {
 			this._previous = previous;
-			this._recomputeHash();
+			this._invalidate();
 		}
 	}
 
@@ -80,25 +244,388 @@ class Block {
 		return this._salt;
 	}
 
-	_recomputeHash() {
-		this._hash = '';
-		this._nonce = -1;
-		while(this._hash.slice(-4) !== '0000') {
-			this._nonce++;
-			this._hash = this._hashingAlgorithm({
+	/**
+	 * The base64-encoded signature of the block hash, if the block is signed.
+	 */
+	get signature() {
+		return this._signature;
+	}
+
+	/**
+	 * The ID of the public key which signed the block, if the block is 
+	 * signed.
+	 */
+	get signer() {
+		return this._signer;
+	}
+
+	get timestamp() {
+		return this._timestamp;
+	}
+
+	/**
+	 * The block-format version, which determines the content covered by the 
+	 * block hash and how it is encoded. Blocks which are given a hash but no 
+	 * version on construction predate versioning and default to 
+	 * {@link Constants.LEGACY_BLOCK_VERSION}.
+	 */
+	get version() {
+		return this._version;
+	}
+
+	_setHashingAlgorithm(hashingAlgorithm) {
+		const { name, hashingAlgorithm: fn } = 
+			resolveHashingAlgorithm(hashingAlgorithm);
+		this._hashingAlgorithmName = name;
+		this._hashingAlgorithm = fn;
+	}
+
+	_setData(data) {
+		this._data = PROXY_TARGETS.get(data) || data;
+		this._proxies = new WeakMap();
+		this._dataProxy = this._proxy(this._data);
+	}
+
+	/**
+	 * Wraps the given value of the block data in a proxy which tracks changes 
+	 * at any depth. Changes mark the block dirty before it is sealed, and 
+	 * throw once it is sealed. The methods of a Buffer or a typed array, 
+	 * which cannot run on a proxy, are called on the view itself, see 
+	 * {@link Block#_viewMethod}.
+	 * 
+	 * @param  {*} target
+	 * @return {*}
+	 */
+	_proxy(target) {
+		if(!isTrackable(target)) {
+			return target;
+		}
+
+		let proxy = this._proxies.get(target);
+		if(!proxy) {
+			const view = ArrayBuffer.isView(target);
+			proxy = new Proxy(target, {
+				get: (target, prop, receiver) => {
+					const value = Reflect.get(target, prop, 
+						view ? target : receiver);
+					return view && typeof value === 'function' ? 
+						this._viewMethod(target, value) : this._proxy(value);
+				},
+				set: (target, prop, value) => {
+					this._assertUnsealed();
+					value = PROXY_TARGETS.get(value) || value;
+					if(!target.hasOwnProperty(prop) || target[prop] !== value) {
+	    				target[prop] = value;
+	    				this._invalidate();
+	    			}
+	    			return true;
+				},
+				deleteProperty: (target, prop) => {
+					this._assertUnsealed();
+					if(target.hasOwnProperty(prop)) {
+						delete target[prop];
+						this._invalidate();
+					}
+					return true;
+				},
+				defineProperty: (target, prop, descriptor) => {
+					this._assertUnsealed();
+					if('value' in descriptor) {
+						descriptor = {
+							...descriptor,
+							value: PROXY_TARGETS.get(descriptor.value) || 
+								descriptor.value,
+						};
+					}
+					const defined = Reflect.defineProperty(target, prop, 
+						descriptor);
+					if(defined) {
+						this._invalidate();
+					}
+					return defined;
+				},
+			});
+			this._proxies.set(target, proxy);
+			PROXY_TARGETS.set(proxy, target);
+		}
+		return proxy;
+	}
+
+	/**
+	 * Binds a method of a Buffer or a typed array of the block data to the 
+	 * view itself. A call which changes the bytes of the view marks the block 
+	 * dirty before it is sealed; once it is sealed, the bytes are restored 
+	 * and the call throws. A view returned by the call which shares the 
+	 * memory of the view, such as a subarray, is tracked in turn.
+	 * 
+	 * @param  {ArrayBufferView} target
+	 * @param  {Function} method
+	 * @return {Function}
+	 */
+	_viewMethod(target, method) {
+		return (...args) => {
+			const bytes = viewBytes(target);
+			const before = Buffer.from(bytes);
+			const result = method.apply(target, args);
+			if(!before.equals(bytes)) {
+				if(this._sealed) {
+					bytes.set(before);
+					this._assertUnsealed();
+				}
+				this._invalidate();
+			}
+			if(result === target || (ArrayBuffer.isView(result) && 
+					result.buffer === target.buffer)) {
+				return this._proxy(result);
+			}
+			return result;
+		};
+	}
+
+	/**
+	 * @throws {Error} - If the block is sealed.
+	 */
+	_assertUnsealed() {
+		if(this._sealed) {
+			throw new Error(`Block "${this._hash}" is sealed and cannot be ` + 
+				`modified!`);
+		}
+	}
+
+	/**
+	 * @return {Array} - The data of the block as a list of Merkle tree 
+	 * 		entries. Data which isn't an array is treated as a single entry.
+	 */
+	_entries() {
+		return Array.isArray(this._data) ? this._data : [this._data];
+	}
+
+	/**
+	 * Returns the content of the block covered by the block hash. The key 
+	 * order of the returned object is significant to the hash.
+	 * 
+	 * @return {Object}
+	 */
+	_hashContent() {
+		if(this._version <= Constants.LEGACY_BLOCK_VERSION) {
+			return {
 				data: this._data,
 				nonce: this._nonce,
 				previous: this._previous,
 				salt: this._salt
-			});
+			};
 		}
+
+		return BlockHeader.content({
+			difficulty: this._difficulty,
+			height: this._height,
+			nonce: this._nonce,
+			previous: this._previous,
+			root: this.root,
+			salt: this._salt,
+			timestamp: this._timestamp,
+			version: this._version
+		});
 	}
 
-	/*
-	 * commit method to be implemented by extending classes.
+	/**
+	 * Hashes the given value with the hashing algorithm of the block, using 
+	 * the encoding of the block-format version.
+	 * 
+	 * @param  {*} value
+	 * @return {string}
 	 */
-	commit() {
-		throw new Error(`Method 'commit' not implemented for 'block' base class.`);
+	_digest(value) {
+		return this._hashingAlgorithm(value, encodingFor(this._version));
+	}
+
+	_computeHash() {
+		return this._digest(this._hashContent());
+	}
+
+	/**
+	 * Marks the block hash as stale after a change to the hashed content, and 
+	 * restarts a mining operation in progress.
+	 */
+	_invalidate() {
+		this._dirty = true;
+		this._hash = undefined;
+		this._signature = undefined;
+		this._signer = undefined;
+		if(this._mining) {
+			this._mining.restart();
+		}
+	}
+
+	/**
+	 * Mines the block on a worker thread, without blocking the event loop. If 
+	 * the data or previous hash of the block changes while mining, mining is 
+	 * restarted with the new content. Calling this method while a mining 
+	 * operation is in progress returns the pending operation.
+	 * 
+	 * @param  {Object} [options={}]
+	 * @param  {AbortSignal} [options.signal] - A signal used to cancel the 
+	 * 		mining operation. The returned promise then rejects with an 
+	 * 		AbortError and the block is left unmined.
+	 * @param  {Function} [options.onProgress] - Called with 
+	 * 		`{ attempts, nonce }` as mining progresses.
+	 * @param  {number} [options.progressInterval] - The number of nonces 
+	 * 		tried between two progress reports.
+	 * @return {Promise<Block>} - Resolves with this block once mined.
+	 */
+	mine({ signal, onProgress, progressInterval } = {}) {
+		if(this._mining) {
+			return this._mining.promise;
+		}
+		if(this._sealed) {
+			return Promise.reject(new Error(`Block "${this._hash}" is sealed ` + 
+				`and cannot be mined!`));
+		}
+		if(signal && signal.aborted) {
+			return Promise.reject(miner.abortError());
+		}
+
+		const mining = {};
+		mining.promise = new Promise((resolve, reject) => {
+			const finish = () => {
+				if(signal) {
+					signal.removeEventListener('abort', onAbort);
+				}
+				this._mining = null;
+			};
+
+			const onAbort = () => {
+				mining.job.cancel();
+				finish();
+				reject(miner.abortError());
+			};
+
+			const start = () => {
+				const job = miner.mine({
+					content: this._hashContent(),
+					difficulty: this._difficulty,
+					algorithm: this._hashingAlgorithmName,
+					version: this._version,
+					onProgress,
+					progressInterval,
+				});
+				mining.job = job;
+
+				job.promise.then(({ hash, nonce }) => {
+					if(mining.job === job) {
+						this._nonce = nonce;
+						this._hash = hash;
+						this._dirty = false;
+						finish();
+						resolve(this);
+					}
+				}, (err) => {
+					if(mining.job === job) {
+						finish();
+						reject(err);
+					}
+				});
+			};
+
+			mining.restart = () => {
+				mining.job.cancel();
+				start();
+			};
+
+			if(signal) {
+				signal.addEventListener('abort', onAbort, { once: true });
+			}
+			start();
+		});
+
+		this._mining = mining;
+		return mining.promise;
+	}
+
+	/**
+	 * Mines the block synchronously on the calling thread. This blocks the 
+	 * event loop until a nonce is found; prefer {@link Block.mine}.
+	 * 
+	 * @return {Block}
+	 */
+	mineSync() {
+		this._assertUnsealed();
+		const { hash, nonce } = miner.search({
+			content: this._hashContent(),
+			difficulty: this._difficulty,
+			hashingAlgorithm: this._hashingAlgorithm,
+			encode: encodingFor(this._version),
+		});
+		this._nonce = nonce;
+		this._hash = hash;
+		this._dirty = false;
+		return this;
+	}
+
+	/**
+	 * Seals the block: any later change to the block, including changes to 
+	 * nested data entries, throws an error. Blocks are sealed once committed 
+	 * or added to a chain, and when loaded from storage.
+	 * 
+	 * @return {Block}
+	 * @throws {Error} - If the block is being mined or has not been mined.
+	 */
+	seal() {
+		if(this._sealed) {
+			return this;
+		}
+		if(this._mining) {
+			throw new Error(`Cannot seal a block while it is being mined!`);
+		}
+		if(this._dirty) {
+			throw new Error(`Cannot seal a block which has not been mined!`);
+		}
+		this._sealed = true;
+		return this;
+	}
+
+	/**
+	 * Writes the block through the given storage adapter, see 
+	 * {@link StorageAdapter.writeBlock}. The block is sealed once written.
+	 * 
+	 * @param  {Object} options
+	 * @param  {StorageAdapter} options.storage - The adapter to write to.
+	 * @param  {Boolean} [options.canonical=true] - Whether the block is 
+	 * 		written on top of the canonical chain.
+	 * @param  {string} [options.codec=Constants.DEFAULT_CODEC]
+	 * @param  {number} [options.height=this.height]
+	 * @return {*} - The result of {@link StorageAdapter.writeBlock}.
+	 */
+	commit({
+		storage,
+		canonical=true,
+		codec=Constants.DEFAULT_CODEC,
+		height=this._height
+	} = {}) {
+		if(!storage) {
+			throw new Error(`Must provide a storage adapter to 'commit()'!`);
+		}
+		return storage.writeBlock(this, { canonical, codec, height });
+	}
+
+	/**
+	 * Signs the block hash with the given private key. The signature is not 
+	 * covered by the block hash, and is cleared whenever the block hash is 
+	 * invalidated.
+	 * 
+	 * @param  {crypto.KeyObject|string} privateKey - An Ed25519 or ECDSA 
+	 * 		private key.
+	 * @return {Block}
+	 */
+	sign(privateKey) {
+		this._assertUnsealed();
+		if(!this._hash) {
+			throw new Error(`Cannot sign a block which has not been mined!`);
+		}
+
+		this._signature = signHash(this._hash, privateKey);
+		this._signer = keyId(privateKey);
+		return this;
 	}
 
 	/**
@@ -129,8 +656,9 @@ class Block {
 					const otherHash = b.hash;
 					return selfHash === otherHash;
 				} else {
-					const selfStringify = a.stringify();
-					const otherStringify = b.stringify();
+					const selfStringify = canonicalize(JSON.parse(a.stringify()));
+					const otherStringify = 
+						canonicalize(JSON.parse(b.stringify()));
 					return selfStringify === otherStringify;
 				}
 			}
@@ -141,12 +669,57 @@ class Block {
 		return comparator(this, other, quick);
 	}
 
-	/*
-	 * load method to be implemented by extending classes.
+	/**
+	 * Reads the block matching the given query through the given storage 
+	 * adapter, see {@link StorageAdapter.readBlock}.
+	 * 
+	 * @param  {StorageAdapter} storage - The adapter to read from.
+	 * @param  {Object} query - `{ hash, index, previous }`.
+	 * @return {Block}
 	 */
-	load() {
-		throw new Error(
-			`Method 'load' not implemented for 'block' base class.`);
+	static async load(storage, query) {
+		if(!storage) {
+			throw new Error(`Must provide a storage adapter to 'load()'!`);
+		}
+		return storage.readBlock(query);
+	}
+
+	/**
+	 * Returns the Merkle inclusion proof of the data entry at the given index, 
+	 * which can be checked against the block root with 
+	 * {@link Block.verifyProof} without the rest of the block data.
+	 * 
+	 * @param  {number} index - The index of the entry in the block data.
+	 * @return {Array<Object>} - A list of `{ hash, position }` siblings.
+	 * @throws {RangeError}
+	 */
+	proofFor(index) {
+		return merkleProof(this._entries(), index, 
+			(value) => this._digest(value));
+	}
+
+	/**
+	 * Checks offline that the given data entry is included under the given 
+	 * Merkle root. Entries are encoded as the block-format version of the 
+	 * block encodes them, see {@link Block#version}.
+	 * 
+	 * @param  {*} entry - The data entry.
+	 * @param  {Array<Object>} proof - The proof, see {@link Block.proofFor}.
+	 * @param  {string} root - The Merkle root of the block.
+	 * @param  {string|Function} [hashingAlgorithm=SHA256] - The hashing 
+	 * 		algorithm of the block, by name or as a registered function.
+	 * @param  {number} [version=Constants.BLOCK_VERSION] - The block-format 
+	 * 		version of the block.
+	 * @return {Boolean}
+	 */
+	static verifyProof(entry, proof, root, 
+		hashingAlgorithm = Constants.DEFAULT_HASHING_ALGORITHM, 
+		version = Constants.BLOCK_VERSION) {
+			const { hashingAlgorithm: fn } = 
+				resolveHashingAlgorithm(hashingAlgorithm);
+			const encode = encodingFor(version);
+			return verifyMerkleProof(entry, proof, root, 
+				(value) => fn(value, encode));
 	}
 
 	/**
@@ -155,47 +728,76 @@ class Block {
 	 * @return {Block}
 	 */
 	parse(jsonData) {
+		this._assertUnsealed();
 		if(!jsonData || typeof jsonData !== "string" || jsonData.length < 1) {
 			throw new Error("No data given!");
 		}
 
 		const {
 				salt=this._salt,
+				signature,
+				signer,
 				previous=this._previous,
 				nonce=this._nonce,
 				hash=this._hash,
-				data=this._data
+				hashingAlgorithm=Constants.DEFAULT_HASHING_ALGORITHM,
+				height=this._height,
+				data=this._data,
+				difficulty=this._difficulty,
+				timestamp=this._timestamp,
+				version=Constants.LEGACY_BLOCK_VERSION
 			} = JSON.parse(jsonData);
 
 		this._salt = salt;
+		this._signature = signature;
+		this._signer = signer;
 		this._previous = previous;
 		this._nonce = nonce;
 		this._hash = hash;
-		this._data = data;
+		this._setHashingAlgorithm(hashingAlgorithm);
+		this._height = height;
+		this._setData(data);
+		this._difficulty = difficulty;
+		this._timestamp = timestamp;
+		this._version = version;
+		this._dirty = typeof hash === 'undefined';
 		return this;
 	}
 	
 	stringify() {
 		return JSON.stringify({
 			data: this._data,
+			difficulty: this._difficulty,
 			hash: this.hash,
+			hashingAlgorithm: this._hashingAlgorithmName,
+			height: this._height,
 			nonce: this._nonce,
 			previous: this._previous,
-			salt: this._salt
+			root: this.root,
+			salt: this._salt,
+			signature: this._signature,
+			signer: this._signer,
+			timestamp: this._timestamp,
+			version: this._version
 		});
 	}
 
+	/**
+	 * Verifies the proof of work of this block against the block's own 
+	 * difficulty.
+	 * 
+	 * @param {Boolean} quick - Whether to only check that the stored hash 
+	 * 		meets the difficulty, or to also recompute the hash.
+	 * @return {Boolean}
+	 */
 	verify(quick=true) {
+		if(!meetsDifficulty(this._hash, this._difficulty)) {
+			return false;
+		}
 		if(quick) {
-			return this._hash.slice(-4) === '0000';
+			return true;
 		}
-		let computed = this._hashingAlgorithm({
-				data: this._data,
-				nonce: this._nonce,
-				previous: this._previous,
-				salt: this._salt
-			});
-		return computed === this._hash;
+		return this._computeHash() === this._hash;
 	}
 }
 
@@ -0,0 +1,145 @@
+const { resolveHashingAlgorithm } = require('../misc/algorithms');
+const { encodingFor } = require('../misc/canonical');
+const { meetsDifficulty } = require('../misc/difficulty');
+
+/**
+ * @typedef {import('./Constants')} Constants
+ */
+const Constants = require('./Constants');
+
+/**
+ * The header of a {@link Block}: every field of the block except its data,
+ * which is committed to by the Merkle root. A header can be loaded and
+ * verified without reading the block body, which allows long chains to be
+ * walked cheaply.
+ *
+ * @class BlockHeader
+ */
+class BlockHeader {
+	constructor({
+		difficulty = Constants.DEFAULT_DIFFICULTY,
+		hash,
+		hashingAlgorithm = Constants.DEFAULT_HASHING_ALGORITHM,
+		height,
+		nonce = 0,
+		previous,
+		root,
+		salt,
+		signature,
+		signer,
+		timestamp,
+		version = typeof hash === 'undefined' ?
+			Constants.BLOCK_VERSION : Constants.LEGACY_BLOCK_VERSION
+	} = {}) {
+		const { name, hashingAlgorithm: fn } =
+			resolveHashingAlgorithm(hashingAlgorithm);
+
+		this._difficulty = difficulty;
+		this._hash = hash;
+		this._hashingAlgorithm = fn;
+		this._hashingAlgorithmName = name;
+		this._height = height;
+		this._nonce = nonce;
+		this._previous = previous;
+		this._root = root;
+		this._salt = salt;
+		this._signature = signature;
+		this._signer = signer;
+		this._timestamp = timestamp;
+		this._version = version;
+	}
+
+	get difficulty() { return this._difficulty; }
+
+	get hash() { return this._hash; }
+
+	get hashingAlgorithm() { return this._hashingAlgorithmName; }
+
+	get height() { return this._height; }
+
+	get nonce() { return this._nonce; }
+
+	get previous() { return this._previous; }
+
+	get root() { return this._root; }
+
+	get salt() { return this._salt; }
+
+	get signature() { return this._signature; }
+
+	get signer() { return this._signer; }
+
+	get timestamp() { return this._timestamp; }
+
+	get version() { return this._version; }
+
+	/**
+	 * Returns the content covered by the hash of a current-format block. The
+	 * key order of the returned object is significant to legacy encodings,
+	 * so both {@link Block} and {@link BlockHeader} build it here.
+	 *
+	 * @param  {Object} fields - The header fields.
+	 * @return {Object}
+	 */
+	static content({
+		difficulty,
+		height,
+		nonce,
+		previous,
+		root,
+		salt,
+		timestamp,
+		version
+	}) {
+		return {
+			difficulty,
+			height,
+			nonce,
+			previous,
+			root,
+			salt,
+			timestamp,
+			version
+		};
+	}
+
+	/**
+	 * Verifies the proof of work of the header. The hash of a legacy block
+	 * covers its data rather than a Merkle root, so only the quick check can
+	 * be performed on a legacy header.
+	 *
+	 * @param {Boolean} quick - Whether to only check that the stored hash
+	 * 		meets the difficulty, or to also recompute the hash.
+	 * @return {Boolean}
+	 */
+	verify(quick=true) {
+		if(!meetsDifficulty(this._hash, this._difficulty)) {
+			return false;
+		}
+		if(quick || this._version <= Constants.LEGACY_BLOCK_VERSION) {
+			return true;
+		}
+		const computed = this._hashingAlgorithm(
+			BlockHeader.content(this.toJSON()), encodingFor(this._version));
+		return computed === this._hash;
+	}
+
+	toJSON() {
+		return {
+			difficulty: this._difficulty,
+			hash: this._hash,
+			hashingAlgorithm: this._hashingAlgorithmName,
+			height: this._height,
+			nonce: this._nonce,
+			previous: this._previous,
+			root: this._root,
+			salt: this._salt,
+			signature: this._signature,
+			signer: this._signer,
+			timestamp: this._timestamp,
+			version: this._version,
+		};
+	}
+}
+
+module.exports = BlockHeader;
@@ -1,44 +1,258 @@
+const EventEmitter = require('events');
+const { Readable } = require('stream');
+
 /**
  * @typedef {import('./Block')} Block
  */
 const Block = require('./Block');
 
+/**
+ * @typedef {import('./BlockHeader')} BlockHeader
+ */
+
+/**
+ * @typedef {import('./ChainBatch')} ChainBatch
+ */
+const ChainBatch = require('./ChainBatch');
+
 /**
  * @typedef {import('./Constants')} Constants
  */
 const Constants = require('./Constants');
 
 /**
- * A base class for a simple blockchain. This class is not stateful; extending 
- * classes must implement {@link Chain.load} and {@link Chain.commit} methods.
+ * @typedef {import('./SignerRegistry')} SignerRegistry
+ */
+const SignerRegistry = require('./SignerRegistry');
+
+const { resolveHashingAlgorithm } = require('../misc/algorithms');
+const {
+	checkManifest,
+	createManifest,
+	decodeBlock,
+	encodeBlock,
+	readLines,
+	writeLine
+} = require('../misc/archive');
+const { canonicalize } = require('../misc/canonical');
+const { getCodec } = require('../misc/codecs');
+const { blockWork, normalizeRetarget, retarget } = 
+	require('../misc/difficulty');
+const { defaultRules, rejection } = require('../misc/rules');
+
+/**
+ * Encodes the state of a {@link Chain.range} pagination into an opaque 
+ * cursor.
+ * 
+ * @param  {Object} state - `{ from, to, order }`.
+ * @return {string}
+ */
+const encodeCursor = (state) => 
+	Buffer.from(JSON.stringify(state)).toString('base64url');
+
+/**
+ * @param  {string} cursor - A cursor returned by {@link Chain.range}.
+ * @return {Object} - `{ from, to, order }`.
+ */
+const decodeCursor = (cursor) => {
+	try {
+		const { from, to, order } = 
+			JSON.parse(Buffer.from(cursor, 'base64url').toString());
+		return { from, to, order };
+	} catch(err) {
+		throw new Error(`Invalid range cursor "${cursor}"!`);
+	}
+};
+
+/**
+ * A base class for a simple blockchain. A chain created without a storage 
+ * adapter is held in memory and is not stateful; a chain created with one, 
+ * see {@link StorageAdapter}, reads and writes its blocks and its settings 
+ * through the adapter, which {@link Chain.load} and {@link Chain.commit} 
+ * require. The storage modes of `index.js` are chain classes bound to an 
+ * adapter class, see {@link module:storage}.
+ * 
+ * A chain is an EventEmitter, emitting the events of 
+ * {@link Constants.CHAIN_EVENTS}. Every event payload holds the name of the 
+ * chain and its {@link Chain.backend} details, alongside:
+ * 
+ * - `block:added`: `{ block, height, canonical }`, canonical being false for 
+ *   a block stored on a side branch;
+ * - `block:rejected`: `{ block, height, error }`;
+ * - `block:removed`: `{ block, height }`, for a block deleted through a 
+ *   {@link ChainBatch};
+ * - `reorg`: `{ connected, disconnected, height }`, as reported by 
+ *   {@link Chain.reorg};
+ * - `commit`, `load` and `close`: `{ height }`.
+ * 
+ * Every block of a chain must be signed by a key of its {@link Chain.signers} 
+ * unless the chain is created with the `allowUnsigned` option and its 
+ * registry is empty. An empty registry does not, by itself, accept unsigned 
+ * blocks.
  * 
  * @class Chain
  */
-class Chain {
+class Chain extends EventEmitter {
 	constructor(options = {}) {
+		super();
+
 		const {
+				allowUnsigned = false,
 				blocks = [],
+				codec = Constants.DEFAULT_CODEC,
+				difficulty = Constants.DEFAULT_DIFFICULTY,
+				hashingAlgorithm = Constants.DEFAULT_HASHING_ALGORITHM,
 				height = 0,
 				name = 'chain',
+				retarget = null,
+				signers = [],
+				storage = null,
 			} = options;
 		
 		this.blocks = blocks; // Use setter to assign blocks
+		this._allowUnsigned = allowUnsigned === true;
+		this._codec = getCodec(codec).name;
+		this._difficulty = difficulty;
+		this._hashingAlgorithm = resolveHashingAlgorithm(hashingAlgorithm).name;
 		this._height = height;
 		this._name = name;
+		this._retarget = normalizeRetarget(retarget);
+		this._rules = defaultRules();
+		this._signers = signers instanceof SignerRegistry ? 
+			signers : new SignerRegistry(signers);
+
+		const Storage = this.constructor.Storage;
+		this._storage = storage || (Storage ? new Storage(options) : null);
+	}
+
+	/**
+	 * The class of the storage adapter of the chains of this class, see 
+	 * {@link StorageAdapter}, or null for chains held in memory.
+	 * 
+	 * @return {Function|null}
+	 */
+	static get Storage() {
+		return null;
+	}
+
+	/**
+	 * The name of the storage mode of the chains of this class, see 
+	 * {@link Constants.CHAIN_STORAGE_MODES} and {@link module:storage}.
+	 * 
+	 * @return {string|null}
+	 */
+	static get storageMode() {
+		return Constants.CHAIN_STORAGE_MODES.NONE;
+	}
+
+	/**
+	 * The class of the blocks stored by this chain, the block class of its 
+	 * storage adapter.
+	 * 
+	 * @return {Function}
+	 */
+	static get Block() {
+		return this.Storage ? this.Storage.Block : Block;
+	}
+
+	/**
+	 * Describes where the chain is stored, for event payloads. 
+	 * 
+	 * @return {Object} - `{ mode }`, see {@link module:storage}, and the 
+	 * 		details of the storage adapter, see {@link StorageAdapter.describe}.
+	 */
+	get backend() {
+		return {
+			mode: this.constructor.storageMode,
+			...(this._storage ? this._storage.describe() : {}),
+		};
+	}
+
+	/**
+	 * The storage adapter of the chain, or null if the chain is held in 
+	 * memory.
+	 * 
+	 * @return {StorageAdapter|null}
+	 */
+	get storage() {
+		return this._storage;
 	}
 
 	get blocks() {
 		return this._blocks;
 	}
 
+	/**
+	 * The name of the codec with which the chain stores its blocks, see 
+	 * {@link Constants.CHAIN_CODECS}.
+	 */
+	get codec() {
+		return this._codec;
+	}
+
+	/**
+	 * The initial proof-of-work difficulty of the chain, i.e. the difficulty 
+	 * in force at the genesis block.
+	 */
+	get difficulty() {
+		return this._difficulty;
+	}
+
+	/**
+	 * The registered name of the hashing algorithm every block of the chain 
+	 * must use, see {@link module:algorithms}.
+	 */
+	get hashingAlgorithm() {
+		return this._hashingAlgorithm;
+	}
+
 	get height() {
-		return this._blocks.length;
+		return this._storage ? this._height : this._blocks.length;
 	}
 
 	get name() {
 		return this._name;
 	}
 
+	/**
+	 * The normalized difficulty retarget options of the chain, or null if 
+	 * the difficulty of the chain is fixed.
+	 */
+	get retarget() {
+		return this._retarget;
+	}
+
+	/**
+	 * Whether the chain was created with the `allowUnsigned` option, accepting 
+	 * unsigned blocks while its {@link Chain.signers} registry is empty.
+	 * 
+	 * @return {Boolean}
+	 */
+	get allowUnsigned() {
+		return this._allowUnsigned;
+	}
+
+	/**
+	 * Whether every block of the chain must be signed by a key of its 
+	 * {@link Chain.signers}, which holds unless the registry is empty and the 
+	 * chain allows unsigned blocks.
+	 * 
+	 * @return {Boolean}
+	 */
+	get requiresSignatures() {
+		return this._signers.size > 0 || !this._allowUnsigned;
+	}
+
+	/**
+	 * The registry of keys trusted to sign blocks of this chain, see 
+	 * {@link Chain.requiresSignatures}.
+	 * 
+	 * @return {SignerRegistry}
+	 */
+	get signers() {
+		return this._signers;
+	}
+
 	/**
 	 * Some chains may need to close opened entities used for storage and this 
 	 * method will expose this to implementations for proper clean up.
@@ -47,16 +261,18 @@ class Chain {
 	 * 		method when finished using.
 	 */
 	get isClosable() {
-		return (typeof this.close === 'function');
+		return this._storage !== null;
 	}
 
 	set blocks(blocks) {
 		if(Array.isArray(blocks)) {
 			this._blocks = [];
+			this._blocksByHash = new Map();
+			this._blocksByPrevious = new Map();
 
 			for(let i=0; i<blocks.length; i++) {
 				if(blocks[i] instanceof Block) {
-					this._blocks.push(blocks[i]);
+					this._indexBlock(blocks[i]);
 				} else {
 					throw new Error(`Block at index ${i} is not an instance ` + 
 						`of class Block!`);
@@ -65,85 +281,1045 @@ class Chain {
 		}
 	}
 
+	/**
+	 * Emits the given chain event, adding the chain name and backend details 
+	 * to its payload.
+	 * 
+	 * @param {string} event - One of {@link Constants.CHAIN_EVENTS}.
+	 * @param {Object} payload
+	 */
+	_emit(event, payload = {}) {
+		this.emit(event, {
+			...payload,
+			backend: this.backend,
+			name: this.name,
+		});
+	}
+
+	/**
+	 * Appends the given block to the in-memory chain and to its hash and 
+	 * previous-hash indexes. The position of a block in the blocks array is 
+	 * its height.
+	 * 
+	 * @param {Block} block
+	 */
+	_indexBlock(block) {
+		this._blocks.push(block);
+		this._blocksByHash.set(block.hash, block);
+		this._blocksByPrevious.set(block.previous, block);
+	}
+
+	/**
+	 * Returns the block matching the given query, in constant time. The query 
+	 * fields are looked up in order: hash, then index (height), then previous 
+	 * hash.
+	 * 
+	 * @param  {Object} query
+	 * @param  {string} [query.hash] - The hash of the block.
+	 * @param  {number} [query.index] - The height of the block.
+	 * @param  {string} [query.previous] - The hash of the parent of the block.
+	 * @return {Block}
+	 */
 	async get({ hash, index, previous }) {
-		for(let i=0; i<this.blocks.length; i++) {
-			if((hash && block.hash === hash) || 
-				(index && i === index) ||
-				(previous && block.previous === previous)) {
-					return Promise.resolve(block);
+		if(this._storage) {
+			return this._storage.readBlock({ hash, index, previous });
+		}
+
+		let block;
+		if(hash) {
+			block = this._blocksByHash.get(hash);
+		} else if(typeof index !== 'undefined') {
+			block = this._blocks[index];
+		} else if(previous) {
+			block = this._blocksByPrevious.get(previous);
+		}
+
+		if(!block) {
+			return Promise.reject(new Error(`Could not find block matching ` + 
+				`${JSON.stringify({ hash, index, previous })}!`));
+		}
+		return Promise.resolve(block);
+	}
+
+	/**
+	 * Returns the header of the block matching the given query, without 
+	 * reading the block body if the storage adapter allows it.
+	 * 
+	 * @param  {Object} query - `{ hash, index, previous }`, as for 
+	 * 		{@link Chain.get}.
+	 * @return {BlockHeader}
+	 */
+	async getHeader(query) {
+		if(this._storage) {
+			return this._storage.readHeader(query);
+		}
+		const block = await this.get(query);
+		return block.header;
+	}
+
+	/**
+	 * Returns the proof that the data entry at the given index is included in 
+	 * the block matching the given query, for a {@link LightClient} holding 
+	 * the headers of this chain.
+	 * 
+	 * @param  {Object} query - `{ hash, index, previous }`, as for 
+	 * 		{@link Chain.get}.
+	 * @param  {number} index - The index of the entry in the block data.
+	 * @return {Object} - `{ hash, height, index, proof }`, the hash and 
+	 * 		height of the block, the index of the entry and its Merkle proof, 
+	 * 		see {@link Block.proofFor}.
+	 */
+	async inclusionProof(query, index) {
+		const block = await this.get(query);
+		return {
+			hash: block.hash,
+			height: block.height,
+			index,
+			proof: block.proofFor(index),
+		};
+	}
+
+	/**
+	 * Resolves a height or block hash given as a bound of 
+	 * {@link Chain.blocksFrom} to a height of the canonical chain.
+	 * 
+	 * @param  {number|string} bound - A height or a block hash.
+	 * @return {number}
+	 */
+	async _heightOf(bound) {
+		if(typeof bound === 'number') {
+			if(!Number.isInteger(bound) || bound < 0 || bound >= this.height) {
+				throw new RangeError(`Height ${bound} is out of range!`);
+			}
+			return bound;
+		}
+
+		const header = await this.getHeader({ hash: bound });
+		if(!(await this._isCanonical(header))) {
+			throw new Error(`Block "${bound}" is not part of the canonical ` + 
+				`chain!`);
+		}
+		return header.height;
+	}
+
+	/**
+	 * Yields the blocks of the canonical chain from one height to another, 
+	 * both included, one at a time, through the storage adapter if any, see 
+	 * {@link StorageAdapter.readBlocks}.
+	 * 
+	 * @param {number} from - The height of the first block.
+	 * @param {number} to - The height of the last block.
+	 * @param {Boolean} headersOnly - Whether to yield block headers only.
+	 */
+	async *_blocksInRange(from, to, headersOnly) {
+		if(this._storage) {
+			yield* this._storage.readBlocks(from, to, headersOnly);
+			return;
+		}
+
+		const step = from <= to ? 1 : -1;
+		for(let height=from; height!==to+step; height+=step) {
+			yield headersOnly ? 
+				await this.getHeader({ index: height }) : 
+				await this.get({ index: height });
+		}
+	}
+
+	/**
+	 * Iterates over the blocks of the canonical chain, without holding them 
+	 * all in memory: `for await (const block of chain.blocksFrom())`. A 
+	 * missing block or a block which does not link to its neighbour fails the 
+	 * iteration rather than ending it early.
+	 * 
+	 * @param {Object} [options={}]
+	 * @param {number|string} [options.start] - The height or hash of the first 
+	 * 		block, the genesis block by default (the tip if reverse).
+	 * @param {number|string} [options.end] - The height or hash of the last 
+	 * 		block, the tip by default (the genesis block if reverse).
+	 * @param {Boolean} [options.reverse=false] - Whether to iterate from the 
+	 * 		tip down.
+	 * @param {Boolean} [options.headersOnly=false] - Whether to yield block 
+	 * 		headers only, without reading the block bodies.
+	 * @return {AsyncGenerator<Block|BlockHeader>}
+	 */
+	async *blocksFrom({ start, end, reverse = false, headersOnly = false } = {}) {
+		if(this.height < 1) {
+			return;
+		}
+
+		const first = reverse ? this.height-1 : 0;
+		const last = reverse ? 0 : this.height-1;
+		const from = await this._heightOf(
+			typeof start === 'undefined' ? first : start);
+		const to = await this._heightOf(typeof end === 'undefined' ? last : end);
+		if(reverse ? from < to : from > to) {
+			throw new RangeError(`Cannot iterate from height ${from} to ` + 
+				`height ${to}${reverse ? ' in reverse' : ''}!`);
+		}
+
+		let neighbour = null;
+		for await (const block of this._blocksInRange(from, to, headersOnly)) {
+			if(neighbour) {
+				const [lower, upper] = reverse ? 
+					[block, neighbour] : [neighbour, block];
+				if(upper.previous !== lower.hash) {
+					throw new Error(`Block "${upper.hash}" does not link to ` + 
+						`block "${lower.hash}" below it!`);
+				}
 			}
+			neighbour = block;
+			yield block;
+		}
+	}
+
+	/**
+	 * Returns a readable object stream of the blocks of the canonical chain, 
+	 * see {@link Chain.blocksFrom}. Blocks are read as the stream is 
+	 * consumed, and an iteration error destroys the stream with that error.
+	 * 
+	 * @param  {Object} [options={}] - As for {@link Chain.blocksFrom}.
+	 * @return {Readable}
+	 */
+	createReadStream(options = {}) {
+		return Readable.from(this.blocksFrom(options), { objectMode: true });
+	}
+
+	/**
+	 * Reads the blocks of the canonical chain between two heights, both 
+	 * included, in the given order and up to the given number of blocks, 
+	 * through the storage adapter if any, see {@link StorageAdapter.readRange}.
+	 * 
+	 * @param  {Object} options - `{ from, to, order, limit, headersOnly }`, 
+	 * 		as validated by {@link Chain.range}.
+	 * @return {Array<Block|BlockHeader>}
+	 */
+	async _range({ from, to, order, limit, headersOnly }) {
+		if(this._storage) {
+			return this._storage.readRange({ from, to, order, limit, 
+				headersOnly });
+		}
+
+		const blocks = [];
+		const count = Math.min(limit, to-from+1);
+		for(let i=0; i<count; i++) {
+			const index = order === Constants.RANGE_ORDERS.ASC ? from+i : to-i;
+			blocks.push(headersOnly ? 
+				await this.getHeader({ index }) : 
+				await this.get({ index }));
 		}
-		return Promise.reject(new Error(
-			`Could not find block at with hash "${hash}"!`));
+		return blocks;
 	}
 
+	/**
+	 * Lists a page of the blocks of the canonical chain between two heights. 
+	 * The latest blocks are listed with `chain.range({ order: 'desc' })`; the 
+	 * next page is listed by passing the returned cursor back, on its own or 
+	 * with a new limit.
+	 * 
+	 * @param  {Object} [options={}]
+	 * @param  {number} [options.from=0] - The lowest height of the range.
+	 * @param  {number} [options.to] - The highest height of the range, the 
+	 * 		tip by default.
+	 * @param  {number} [options.limit=Constants.DEFAULT_RANGE_LIMIT] - The 
+	 * 		maximum number of blocks in the page.
+	 * @param  {string} [options.order='asc'] - One of 
+	 * 		{@link Constants.RANGE_ORDERS}.
+	 * @param  {string} [options.cursor] - The cursor of the page to list, as 
+	 * 		returned with the previous page. It replaces the other range 
+	 * 		options.
+	 * @param  {Boolean} [options.headersOnly=false] - Whether to list block 
+	 * 		headers only, without reading the block bodies.
+	 * @return {Object} - `{ blocks, next }`, next being the cursor of the 
+	 * 		next page or null if this is the last page.
+	 */
+	async range({
+		from = 0,
+		to = this.height-1,
+		limit = Constants.DEFAULT_RANGE_LIMIT,
+		order = Constants.RANGE_ORDERS.ASC,
+		cursor,
+		headersOnly = false
+	} = {}) {
+		if(cursor) {
+			({ from, to, order } = decodeCursor(cursor));
+		}
+
+		if(!Object.values(Constants.RANGE_ORDERS).includes(order)) {
+			throw new Error(`Invalid range order '${order}'!`);
+		}
+		if(!Number.isInteger(limit) || limit < 1) {
+			throw new RangeError(`Range limit must be a positive integer!`);
+		}
+		if(!Number.isInteger(from) || !Number.isInteger(to)) {
+			throw new RangeError(`Range bounds must be integer heights!`);
+		}
+
+		from = Math.max(from, 0);
+		to = Math.min(to, this.height-1);
+		if(from > to) {
+			return { blocks: [], next: null };
+		}
+
+		const blocks = await this._range({ from, to, order, limit, headersOnly });
+		const rest = order === Constants.RANGE_ORDERS.ASC ? 
+			{ from: from+blocks.length, to, order } : 
+			{ from, to: to-blocks.length, order };
+		return {
+			blocks,
+			next: rest.from > rest.to ? null : encodeCursor(rest),
+		};
+	}
+
+	/**
+	 * Applies the given operation to the blocks of the canonical chain, in 
+	 * order, and collects its results. The walk iterates with 
+	 * {@link Chain.blocksFrom}, so that a missing block, a block which does 
+	 * not link to its neighbour or a failing operation fails the walk.
+	 * 
+	 * @param  {Object} [options={}]
+	 * @param  {Function} [options.operation] - Applied to each block, the 
+	 * 		block itself being collected by default.
+	 * @param  {string} [options.start=Constants.GENESIS_HASH] - The hash of 
+	 * 		the block below the first block walked.
+	 * @param  {string} [options.end] - The hash of the last block walked, the 
+	 * 		tip by default.
+	 * @param  {number} [options.index=0] - The index of the first block 
+	 * 		walked, counted against the limit.
+	 * @param  {number} [options.limit=this.height-1] - The index past which 
+	 * 		the walk ends, if positive.
+	 * @param  {Boolean} [options.headersOnly=false] - Whether to walk block 
+	 * 		headers only, without reading the block bodies.
+	 * @param  {Array} [options.results=[]] - The array the results are 
+	 * 		collected into.
+	 * @return {Array} - The results of the operation.
+	 */
 	async walk({
 		operation=async (block) => Promise.resolve(block),
 		start=Constants.GENESIS_HASH,
 		end,
 		index=0,
 		limit=this._height-1,
+		headersOnly=false,
 		results=[]
-	}) {
-		try {
-			const block = await this.get({ previous: start });
-			const after = async (result) => {
-				results.push(result);
+	} = {}) {
+		if(this.height < 1) {
+			return results;
+		}
 
-				const hash = await block.hash;
-				if((end && hash === end) || (limit > 0 && index > limit)) {
-					return Promise.resolve(results);
-				}
+		let from = 0;
+		if(start !== Constants.GENESIS_HASH) {
+			from = await this._heightOf(start) + 1;
+			if(from >= this.height) {
+				return results;
+			}
+		}
 
-				return this.walk({
-						operation,
-						start: hash,
-						end,
-						index: index+1,
-						limit,
-						results,
-					});
-			};
-
-			if(typeof operation === 'function') {
-				const result = await operation(block);
-				return after(result);
+		for await (const block of this.blocksFrom({ start: from, headersOnly })) {
+			results.push(typeof operation === 'function' ? 
+				await operation(block) : block);
+			if((end && block.hash === end) || (limit > 0 && index > limit)) {
+				break;
 			}
-			return after(block);
-		} catch(e) {
-			return Promise.resolve(results);
+			index++;
+		}
+		return results;
+	}
+
+	/**
+	 * Returns the proof-of-work difficulty a block at the given height must 
+	 * be mined with. If retargeting is enabled, the difficulty is adjusted 
+	 * at every retarget interval from the timestamps of the blocks in the 
+	 * preceding interval; otherwise the chain difficulty is returned. The 
+	 * blocks below the given height are trusted to carry the difficulty that 
+	 * was in force at their height, see {@link Chain.verify}.
+	 * 
+	 * @param  {number} [height=this.height] - The height of the block.
+	 * @param  {string} [previous] - The hash of the parent of the block. If 
+	 * 		given, the preceding blocks are those of the branch ending at that 
+	 * 		parent rather than those of the canonical chain.
+	 * @return {number}
+	 */
+	async difficultyAt(height = this.height, previous) {
+		if(!this._retarget || height < 1) {
+			return this._difficulty;
+		}
+
+		const { interval } = this._retarget;
+		const count = height % interval === 0 ? interval : 1;
+		const headers = [];
+		let hash = previous;
+		for(let i=height-1; headers.length < count; i--) {
+			const header = hash ? 
+				await this.getHeader({ hash }) : 
+				await this.getHeader({ index: i });
+			headers.unshift(header);
+			hash = hash && header.previous;
 		}
+
+		const { difficulty } = headers[headers.length-1];
+		if(count === 1) {
+			return difficulty;
+		}
+		return retarget(difficulty, headers.map(h => h.timestamp), 
+			this._retarget);
+	}
+
+	/**
+	 * @param  {Block} block
+	 * @return {Boolean} - Whether the given block is signed by a trusted key, 
+	 * 		or signatures are not required by this chain.
+	 */
+	_isAuthorised(block) {
+		return !this.requiresSignatures || this._signers.verify(block);
+	}
+
+	/**
+	 * Registers a validation rule, run by {@link Chain.add} on every block 
+	 * after the built-in rules and the rules registered before it. A rule is 
+	 * an async function `(block, parent, chain)`, called with the candidate 
+	 * block, the header of its parent (null for a genesis block) and the 
+	 * chain. It rejects the block by throwing an error, whose `code` field 
+	 * should hold a reason code, or by resolving to false. See 
+	 * `lib/misc/rules.js` for the built-in rules, some of which are opt-in.
+	 * 
+	 * @param  {Function} validator - The rule to register.
+	 * @return {Chain} - This chain.
+	 */
+	use(validator) {
+		if(typeof validator !== 'function') {
+			throw new Error(`Validator must be a function!`);
+		}
+		this._rules.push(validator);
+		return this;
+	}
+
+	/**
+	 * Runs the validation rules of this chain, in order, on the given block, 
+	 * which is about to be added as a child of the given parent. Errors 
+	 * thrown without a reason code are given 
+	 * {@link Constants.REJECTION_CODES}.RULE_FAILED.
+	 * 
+	 * @param {Block} block - The block to check.
+	 * @param {BlockHeader|null} parent - The header of the parent of the 
+	 * 		block, null for a genesis block.
+	 * @throws {Error}
+	 */
+	async _checkBlock(block, parent) {
+		for(const rule of this._rules) {
+			let valid;
+			try {
+				valid = await rule(block, parent, this);
+			} catch(err) {
+				if(!err.code) {
+					err.code = Constants.REJECTION_CODES.RULE_FAILED;
+				}
+				throw err;
+			}
+			if(valid === false) {
+				throw rejection(Constants.REJECTION_CODES.RULE_FAILED, 
+					`Block "${block.hash}" was rejected by a validation rule!`);
+			}
+		}
+	}
+
+	/**
+	 * @param  {Block|BlockHeader} block
+	 * @return {Boolean} - Whether the given block is part of the canonical 
+	 * 		chain, rather than of a side branch.
+	 */
+	async _isCanonical(block) {
+		try {
+			const header = await this.getHeader({ index: block.height });
+			return header.hash === block.hash;
+		} catch(err) {
+			return false;
+		}
+	}
+
+	/**
+	 * Lists the blocks that would be disconnected from and connected to the 
+	 * canonical chain if the branch ending at the given block became 
+	 * canonical. The blocks to disconnect are listed from the current tip 
+	 * down, the blocks to connect from the fork point up.
+	 * 
+	 * @param  {Block} tip - The tip of the branch.
+	 * @return {Object} - `{ connect, disconnect }`.
+	 */
+	async _planReorg(tip) {
+		const connect = [];
+		let fork = tip;
+		while(fork && !(await this._isCanonical(fork))) {
+			connect.unshift(fork);
+			fork = fork.previous === Constants.GENESIS_HASH ? 
+				null : await this.get({ hash: fork.previous });
+		}
+
+		const disconnect = [];
+		const forkHeight = fork ? fork.height : -1;
+		for(let i=this.height-1; i>forkHeight; i--) {
+			disconnect.push(await this.get({ index: i }));
+		}
+
+		return { connect, disconnect };
 	}
 
 	/**
-	 * Adds a given block of type {@link Block} to this chain. Chain is checked 
-	 * for order before adding the given block.
+	 * Appends the given block on top of the canonical chain, writing it 
+	 * through the storage adapter if any.
+	 * 
+	 * @param {Block} block
+	 * @return {*} - The result of {@link StorageAdapter.writeBlock}.
+	 */
+	async _appendBlock(block) {
+		if(this._storage) {
+			const result = await this._storage.writeBlock(block, {
+					canonical: true,
+					codec: this._codec,
+					height: this._height,
+				});
+			this._height++;
+			return result;
+		}
+
+		this._indexBlock(block);
+		block.seal();
+	}
+
+	/**
+	 * Stores the given block on a side branch, where it can be found by hash 
+	 * but is not part of the canonical chain, writing it through the storage 
+	 * adapter if any.
+	 * 
+	 * @param {Block} block
+	 */
+	async _storeBranchBlock(block) {
+		if(this._storage) {
+			return this._storage.writeBlock(block, {
+					canonical: false,
+					codec: this._codec,
+					height: block.height,
+				});
+		}
+
+		this._blocksByHash.set(block.hash, block);
+		block.seal();
+	}
+
+	/**
+	 * Moves the given blocks off of and onto the canonical chain, as planned 
+	 * by {@link Chain._planReorg}, through the storage adapter if any, see 
+	 * {@link StorageAdapter.reorganise}.
+	 * 
+	 * @param {Array<Block>} disconnect - The blocks to move to side branches.
+	 * @param {Array<Block>} connect - The blocks to make canonical.
+	 */
+	async _reorganise(disconnect, connect) {
+		if(this._storage) {
+			await this._storage.reorganise(disconnect, connect);
+			this._height += connect.length - disconnect.length;
+			return;
+		}
+
+		for(const block of disconnect) {
+			this._blocks.pop();
+			this._blocksByPrevious.delete(block.previous);
+		}
+		for(const block of connect) {
+			this._blocks.push(block);
+			this._blocksByPrevious.set(block.previous, block);
+		}
+	}
+
+	/**
+	 * Makes the branch ending at the block with the given hash the canonical 
+	 * chain. The blocks of the canonical chain above the fork point are kept 
+	 * on a side branch, from which they can be reconnected later.
+	 * 
+	 * @param  {string} hash - The hash of the new tip.
+	 * @return {Object} - `{ connected, disconnected }`, the blocks connected 
+	 * 		to the canonical chain from the fork point up and the blocks 
+	 * 		disconnected from it from the former tip down.
+	 */
+	async reorg(hash) {
+		const tip = await this.get({ hash });
+		const { connect, disconnect } = await this._planReorg(tip);
+		return this._applyReorg(disconnect, connect);
+	}
+
+	/**
+	 * Performs the given reorganisation and emits the `reorg` event.
+	 * 
+	 * @param  {Array<Block>} disconnect - The blocks to move to side branches.
+	 * @param  {Array<Block>} connect - The blocks to make canonical.
+	 * @return {Object} - `{ connected, disconnected }`.
+	 */
+	async _applyReorg(disconnect, connect) {
+		await this._reorganise(disconnect, connect);
+		const result = { connected: connect, disconnected: disconnect };
+		this._emit(Constants.CHAIN_EVENTS.REORG, {
+			...result,
+			height: this.height,
+		});
+		return result;
+	}
+
+	/**
+	 * Adds a given block of type {@link Block} to this chain. A block whose 
+	 * parent is the tip of the chain extends the canonical chain. A block 
+	 * whose parent is any other known block is stored on a side branch; the 
+	 * branch becomes canonical, through {@link Chain.reorg}, if it holds more 
+	 * cumulative proof of work than the canonical chain above their common 
+	 * ancestor. On equal work, the branch seen first is kept. The block is 
+	 * sealed once added. The height of the block is not filled in from its 
+	 * parent, as it is covered by the block hash: it must be set before the 
+	 * block is mined, see {@link Block.height}. Emits `block:added`, or 
+	 * `block:rejected` if the block cannot be added.
 	 * 
 	 * @param {Block} b - The block to add.
+	 * @return {*} - The result of storing a block that extends the canonical 
+	 * 		chain. For a block added to a side branch, the `reorg` report if 
+	 * 		its branch became canonical, or null otherwise.
 	 */
 	async add(b) {
-		if(!(b instanceof Block)) {
+		if(!(b instanceof this.constructor.Block)) {
 			throw new Error(`Parameter is not of instance block!`);
 		}
 
-		if(this.height > 0) {
+		try {
+			return await this._addBlock(b);
+		} catch(error) {
+			this._emit(Constants.CHAIN_EVENTS.BLOCK_REJECTED, {
+				block: b,
+				error,
+				height: b.height,
+			});
+			throw error;
+		}
+	}
+
+	/**
+	 * Checks and stores the given block, as described by {@link Chain.add}, 
+	 * and emits the `block:added` event.
+	 * 
+	 * @param {Block} b - The block to add.
+	 */
+	async _addBlock(b) {
+		const { REJECTION_CODES } = Constants;
+		if(!b.hash) {
+			throw rejection(REJECTION_CODES.NOT_MINED, 
+				`Block has not been mined!`);
+		}
+
+		const known = await this.getHeader({ hash: b.hash })
+			.then(() => true, () => false);
+		if(known) {
+			throw rejection(REJECTION_CODES.DUPLICATE, 
+				`Block "${b.hash}" is already in the chain!`);
+		}
+
+		let parent = null;
+		if(b.previous !== Constants.GENESIS_HASH) {
 			try {
-				const previous = await this._getByPrevious(b.previous);
-			} catch(e) {
-				throw new Error(`Invalid block previous!`);
+				parent = await this.getHeader({ hash: b.previous });
+			} catch(err) {
+				throw rejection(REJECTION_CODES.UNKNOWN_PARENT, 
+					`Invalid reference to previous block at ` +
+					`"${b.previous}"!`);
+			}
+		}
+
+		const height = parent ? parent.height+1 : 0;
+		await this._checkBlock(b, parent);
+
+		const added = (canonical) => 
+			this._emit(Constants.CHAIN_EVENTS.BLOCK_ADDED, {
+				block: b,
+				canonical,
+				height,
+			});
+
+		if(height === this.height && 
+				(!parent || await this._isCanonical(parent))) {
+			const result = await this._appendBlock(b);
+			added(true);
+			return result;
+		}
+
+		await this._storeBranchBlock(b);
+		added(false);
+
+		const { connect, disconnect } = await this._planReorg(b);
+		const work = (blocks) => blocks.reduce(
+			(sum, block) => sum + blockWork(block.difficulty), 0n);
+		if(work(connect) <= work(disconnect)) {
+			return null;
+		}
+		return this._applyReorg(disconnect, connect);
+	}
+
+	/**
+	 * Returns a block locator of the canonical chain: the hashes of the ten 
+	 * latest blocks, then of blocks exponentially further apart, down to the 
+	 * genesis block. A locator lets another chain find the common ancestor of 
+	 * both chains, see {@link Chain.findCommonAncestor}, without access to 
+	 * this chain instance.
+	 * 
+	 * @return {Array<string>}
+	 */
+	async locator() {
+		const hashes = [];
+		let step = 1;
+		let height = this.height-1;
+		for(; height>0; height-=step) {
+			hashes.push((await this.getHeader({ index: height })).hash);
+			if(hashes.length >= 10) {
+				step *= 2;
+			}
+		}
+		if(this.height > 0) {
+			hashes.push((await this.getHeader({ index: 0 })).hash);
+		}
+		return hashes;
+	}
+
+	/**
+	 * Finds the latest block of the canonical chain which is also part of the 
+	 * given other chain. Given a chain instance, of any backend, the highest 
+	 * height at which both chains hold the same block is found by binary 
+	 * search; given a block locator, the first hash of the locator found on 
+	 * this canonical chain is picked.
+	 * 
+	 * @param  {Chain|Array<string>} other - Another chain, or the block 
+	 * 		locator of another chain, see {@link Chain.locator}.
+	 * @return {BlockHeader|null} - The header of the common ancestor, or null 
+	 * 		if the chains have no block in common.
+	 */
+	async findCommonAncestor(other) {
+		if(Array.isArray(other)) {
+			for(const hash of other) {
+				const header = await this.getHeader({ hash })
+					.catch(() => null);
+				if(header && await this._isCanonical(header)) {
+					return header;
+				}
+			}
+			return null;
+		}
+		if(!other || !(other instanceof Chain)) {
+			throw new Error(`Parameter 'other' not an instance of Chain!`);
+		}
+
+		let ancestor = null;
+		let low = 0;
+		let high = Math.min(this.height, other.height) - 1;
+		while(low <= high) {
+			const middle = Math.floor((low + high) / 2);
+			const [mine, theirs] = await Promise.all([
+					this.getHeader({ index: middle }),
+					other.getHeader({ index: middle }),
+				]);
+			if(mine.hash === theirs.hash) {
+				ancestor = mine;
+				low = middle+1;
+			} else {
+				high = middle-1;
+			}
+		}
+		return ancestor;
+	}
+
+	/**
+	 * Pulls the blocks of the given other chain, of any backend, which this 
+	 * chain is missing. The blocks of the other canonical chain above the 
+	 * common ancestor of both chains are copied into blocks of this chain's 
+	 * backend, fully verified and added in order. If this chain holds blocks 
+	 * above the common ancestor, the pulled blocks form a side branch which 
+	 * becomes canonical if it holds more work, see {@link Chain.add}.
+	 * 
+	 * @param  {Chain} other - The chain to pull blocks from.
+	 * @return {Object} - `{ ancestor, added }`, the header of the common 
+	 * 		ancestor (or null) and the blocks added to this chain.
+	 */
+	async sync(other) {
+		const ancestor = await this.findCommonAncestor(other);
+		const start = ancestor ? ancestor.height+1 : 0;
+		const added = [];
+		if(start >= other.height) {
+			return { ancestor, added };
+		}
+
+		const BlockClass = this.constructor.Block;
+		for await (const block of other.blocksFrom({ start })) {
+			const copy = block instanceof BlockClass ? block : 
+				new BlockClass({ ...block.header.toJSON(), data: block.data });
+			if(!copy.verify(false)) {
+				throw new Error(`Block "${block.hash}" of chain ` + 
+					`'${other.name}' does not match its hash!`);
+			}
+			await this.add(copy);
+			added.push(copy);
+		}
+		return { ancestor, added };
+	}
+
+	/**
+	 * Returns a new batch of operations staged against this chain, see 
+	 * {@link ChainBatch}.
+	 * 
+	 * @return {ChainBatch}
+	 */
+	batch() {
+		return new ChainBatch(this);
+	}
+
+	/**
+	 * Deletes every block of the canonical chain from the given height up, 
+	 * all or nothing, through a {@link ChainBatch}. A chain with a storage 
+	 * adapter also writes its new height, see {@link Chain.commit}.
+	 * 
+	 * @param  {number} height - The height of the chain once truncated.
+	 * @return {Array<Block>} - The deleted blocks, in chain order.
+	 */
+	async truncate(height) {
+		if(!Number.isInteger(height) || height < 0 || height > this.height) {
+			throw new RangeError(`Cannot truncate chain of height ` + 
+				`${this.height} to height ${height}!`);
+		}
+
+		const batch = this.batch();
+		for(let i=height; i<this.height; i++) {
+			batch.delete();
+		}
+		const { removed } = await batch.commit();
+		if(this._storage) {
+			await this.commit();
+		}
+		return removed.reverse();
+	}
+
+	/**
+	 * Deletes the block at the top of the canonical chain, see 
+	 * {@link Chain.truncate}.
+	 * 
+	 * @return {Block|null} - The deleted block, or null if the chain is empty.
+	 */
+	async popBlock() {
+		if(this.height < 1) {
+			return null;
+		}
+		const [block] = await this.truncate(this.height-1);
+		return block;
+	}
+
+	/**
+	 * Deletes the given blocks from the top of the canonical chain, then 
+	 * appends the given blocks, as validated by {@link ChainBatch.validate}, 
+	 * all or nothing through the storage adapter if any.
+	 * 
+	 * @param {Array<Block>} remove - The blocks to delete, from the tip down.
+	 * @param {Array<Block>} append - The blocks to append, in order.
+	 */
+	async _applyBatch(remove, append) {
+		if(this._storage) {
+			await this._storage.replaceBlocks(remove, append, {
+					codec: this._codec,
+					height: this._height - remove.length,
+				});
+			this._height += append.length - remove.length;
+			return;
+		}
+
+		for(const block of remove) {
+			this._blocks.pop();
+			this._blocksByHash.delete(block.hash);
+			this._blocksByPrevious.delete(block.previous);
+		}
+		for(const block of append) {
+			this._indexBlock(block);
+			block.seal();
+		}
+	}
+
+	/**
+	 * Writes the canonical chain to the given stream as a portable archive, 
+	 * see {@link module:archive}. The stream is written with backpressure, 
+	 * one block at a time.
+	 * 
+	 * @param  {Writable} stream - The stream to write the archive to.
+	 * @param  {Object} [options={}]
+	 * @param  {Boolean} [options.end=true] - Whether to end the stream once 
+	 * 		the archive is written.
+	 * @return {Object} - The manifest of the archive.
+	 */
+	async export(stream, { end = true } = {}) {
+		const height = this.height;
+		const tip = height > 0 ? 
+			await this.getHeader({ index: height-1 }) : null;
+		const manifest = createManifest({
+			name: this.name,
+			height,
+			hashingAlgorithm: this._hashingAlgorithm,
+			tip: tip ? tip.hash : null,
+			codec: this._codec,
+			difficulty: this._difficulty,
+			retarget: this._retarget,
+			signers: this._signers.toJSON(),
+		});
+
+		await writeLine(stream, manifest);
+		if(height > 0) {
+			for await (const block of this.blocksFrom({ end: height-1 })) {
+				await writeLine(stream, encodeBlock(block));
+			}
+		}
+		if(end) {
+			stream.end();
+		}
+		return manifest;
+	}
+
+	/**
+	 * Creates a chain from a portable archive read from the given stream, 
+	 * see {@link module:archive}. The blocks are verified against the 
+	 * consensus settings and trusted signers given in the options, never 
+	 * against those of the archive: an archive whose manifest declares other 
+	 * settings or signers is rejected. Every block is verified, including its 
+	 * hash against its content, and the blocks are checked against the 
+	 * manifest before any of them is stored; the blocks are then added all 
+	 * or nothing through a {@link ChainBatch}, and a chain with a storage 
+	 * adapter is committed. The storage of the chain must not hold blocks 
+	 * already. Archives can be imported into a chain of any backend, 
+	 * whichever backend exported them.
+	 * 
+	 * @param  {Readable} stream - The stream to read the archive from.
+	 * @param  {Object} [options={}] - Options of the created chain, as for 
+	 * 		the constructor of the chain class. Only the codec and name are 
+	 * 		read from the manifest, when not given.
+	 * @return {Chain} - The imported chain.
+	 * @throws {Error} - If the difficulty, hashing algorithm, retarget 
+	 * 		settings or signers of the manifest differ from those of the 
+	 * 		chain.
+	 */
+	static async import(stream, options = {}) {
+		const lines = readLines(stream);
+		const { value } = await lines.next();
+		const manifest = checkManifest(value);
+
+		const chain = new this({
+			codec: manifest.codec,
+			name: manifest.name,
+			...options,
+		});
+		const signers = new SignerRegistry(manifest.signers || []);
+		const matches = {
+			difficulty: manifest.difficulty === chain._difficulty,
+			hashingAlgorithm: manifest.hashingAlgorithm === 
+				chain._hashingAlgorithm,
+			retarget: canonicalize(chain._retarget) === 
+				canonicalize(normalizeRetarget(manifest.retarget)),
+			signers: signers.size === chain._signers.size && 
+				signers.toJSON().every(({ id }) => chain._signers.has(id)),
+		};
+		const differing = Object.keys(matches).filter(key => !matches[key]);
+		if(differing.length > 0) {
+			throw new Error(`Archive manifest does not match the chain ` + 
+				`settings: ${differing.join(', ')}!`);
+		}
+		if(chain.height > 0 || 
+				(chain.storage && await chain._holdsStoredBlocks())) {
+			throw new Error(`Cannot import an archive into a chain which ` + 
+				`holds blocks!`);
+		}
+
+		const batch = chain.batch();
+		let tip = null;
+		for await (const entry of lines) {
+			const block = new this.Block(decodeBlock(entry));
+			if(!block.verify(false)) {
+				throw new Error(`Archive block "${block.hash}" does not ` + 
+					`match its hash!`);
 			}
+			batch.add(block);
+			tip = block.hash;
+		}
+
+		const count = batch.operations.length;
+		if(count !== manifest.height) {
+			throw new Error(`Archive holds ${count} blocks, its manifest ` + 
+				`declares ${manifest.height}!`);
+		}
+		if(tip !== manifest.tip) {
+			throw new Error(`Archive tip "${tip}" does not match its ` + 
+				`manifest tip "${manifest.tip}"!`);
+		}
+
+		await batch.commit();
+		if(chain.storage) {
+			await chain.commit();
 		}
-		this._blocks.push(b);
+		return chain;
 	}
 
 	/**
-	 * Creates and returns a clone of the chain.
+	 * Creates and returns a clone of the chain. A chain with a storage 
+	 * adapter is cloned into the storage created by 
+	 * {@link StorageAdapter.clone}, asynchronously.
+	 * 
+	 * @param  {string|Object} [options] - The name of the clone, or `{ name }` 
+	 * 		and the storage options of the clone.
+	 * @return {Chain|Promise<Chain>}
 	 */
-	clone(name=`${this._name}-CLONE`) {
+	clone(options = {}) {
+		const { name=`${this.name}-CLONE`, ...storageOptions } = 
+			typeof options === 'string' ? { name: options } : options;
+		if(this._storage) {
+			return this._cloneStorage(name, storageOptions);
+		}
+
 		return new Chain({
+			allowUnsigned: this._allowUnsigned,
 			blocks: this.blocks.slice(0),
+			codec: this._codec,
+			difficulty: this._difficulty,
+			hashingAlgorithm: this._hashingAlgorithm,
+			name,
+			retarget: this._retarget,
+			signers: this._signers,
+		});
+	}
+
+	/**
+	 * Copies the chain into a new storage of its adapter, which must not hold 
+	 * blocks already. The settings of the copy are written before its blocks, 
+	 * so that its storage exists, and again once its blocks are added. A 
+	 * block which cannot be read or added fails the copy.
+	 * 
+	 * @param  {string} name - The name of the clone.
+	 * @param  {Object} storageOptions - The storage options of the clone.
+	 * @return {Chain}
+	 */
+	async _cloneStorage(name, storageOptions) {
+		const clone = new this.constructor({
+			allowUnsigned: this._allowUnsigned,
+			codec: this._codec,
+			difficulty: this._difficulty,
+			hashingAlgorithm: this._hashingAlgorithm,
 			name,
+			retarget: this._retarget,
+			signers: this._signers,
+			storage: this._storage.clone({ name, ...storageOptions }),
 		});
+		if(await clone._holdsStoredBlocks()) {
+			throw new Error(`Cannot clone chain '${this.name}' into a storage ` + 
+				`which holds blocks!`);
+		}
+
+		await clone.commit();
+		for await (const block of this.blocksFrom()) {
+			await clone.add(block);
+		}
+		await clone.commit();
+		return clone;
 	}
 
 	/**
@@ -171,8 +1347,8 @@ class Chain {
 				}
 
 				if(!quick) {
-					const selfBlockData = JSON.stringify(selfBlock.data);
-					const otherBlockData = JSON.stringify(otherBlock.data);
+					const selfBlockData = canonicalize(selfBlock.data);
+					const otherBlockData = canonicalize(otherBlock.data);
 					if(selfBlockData !== otherBlockData) {
 						return Promise.resolve(selfBlock);
 					}
@@ -207,15 +1383,15 @@ class Chain {
 
 		const checkEquals = async (selfBlock) => {
 			try {
-				const otherBlock = await other.get(selfBlock.hash);
+				const otherBlock = await other.get({ hash: selfBlock.hash });
 				if(!otherBlock) {
 					return Promise.resolve(false);
 				}
 				if(quick) {
 					return Promise.resolve(true);
 				}
-				const selfBlockData = JSON.stringify(selfBlock.data);
-				const otherBlockData = JSON.stringify(otherBlock.data);
+				const selfBlockData = canonicalize(selfBlock.data);
+				const otherBlockData = canonicalize(otherBlock.data);
 				if(selfBlockData === otherBlockData) {
 					return Promise.resolve(true);
 				}
@@ -232,46 +1408,273 @@ class Chain {
 	}
 
 	stringify() {
+		if(this._storage) {
+			return JSON.stringify(this._record());
+		}
+
 		let blocksString = this._blocks.slice(0).map(b => b.stringify()).join();
 
 		return JSON.stringify({
 			blocks: `[${blocksString}]`,
+			codec: this._codec,
+			difficulty: this._difficulty,
+			hashingAlgorithm: this._hashingAlgorithm,
 			name: this.name,
+			retarget: this._retarget,
+			signers: this._signers,
 		});
 	}
 
 	/**
+	 * Verifies every block of the chain against the difficulty that was in 
+	 * force at its height. The expected difficulty is recomputed from the 
+	 * genesis block rather than trusted from the stored blocks. If the chain 
+	 * requires signatures, every block must also be signed by a trusted key 
+	 * and, as a signature covers the block hash only, the hash of every block 
+	 * is recomputed even for a quick check. 
+	 * The chain can be verified from block headers only, in which case the 
+	 * block data is checked through the Merkle root recorded in each header 
+	 * rather than recomputed.
+	 * 
 	 * @param {Boolean} quick - Whether to perform an in-depth check of the 
 	 * 		chain or to perform a quick check of the chain's block's hash value 
-	 * 		(always ending with four zeros).
+	 * 		(ending with as many zeros as the block difficulty).
+	 * @param {Object} [options={}]
+	 * @param {Boolean} [options.headersOnly=false] - Whether to verify the 
+	 * 		block headers only, without reading the block bodies.
 	 * @return {Boolean}
 	 */
-	async verify(quick = true) {
-		const checkBlock = async (block) => block.verify(quick);
-		return this.walk({ operation: checkBlock })
+	async verify(quick = true, { headersOnly = false } = {}) {
+		const signed = this.requiresSignatures;
+		let height = 0;
+		let difficulty = this._difficulty;
+		let timestamps = [];
+
+		const checkBlock = async (block) => {
+			const valid = (block.version <= Constants.LEGACY_BLOCK_VERSION || 
+					block.height === height) &&
+				block.difficulty === difficulty && 
+				block.hashingAlgorithm === this._hashingAlgorithm && 
+				block.verify(quick && !signed) && this._isAuthorised(block);
+
+			height++;
+			if(this._retarget) {
+				timestamps.push(block.timestamp);
+				if(height % this._retarget.interval === 0) {
+					difficulty = retarget(difficulty, timestamps, 
+						this._retarget);
+					timestamps = [];
+				}
+			}
+
+			return valid;
+		};
+
+		return this.walk({ operation: checkBlock, headersOnly })
 			.then(results => {
 				return results.reduce((prev, curr) => prev && curr, true);
 			});
 	}
 
 	/**
-	 * Method to be overriden by extending classes. 
+	 * Checks the structure of the canonical chain, height by height, and 
+	 * reports every issue found rather than stopping at the first one. Each 
+	 * block is checked for a link to the block below it (or to 
+	 * {@link Constants.GENESIS_HASH} at height 0), for the height it records, 
+	 * for a hash already seen at another height, for the difficulty in force 
+	 * at its height and the proof of work of its hash, and for a hash that 
+	 * does not match its content.
+	 * 
+	 * @param {Object} [options={}]
+	 * @param {Boolean} [options.headersOnly=false] - Whether to validate the 
+	 * 		block headers only, without reading the block bodies.
+	 * @return {Object} - `{ valid, height, issues }`, where each issue is 
+	 * 		`{ type, height, hash, message }` and type is one of 
+	 * 		{@link Constants.VALIDATION_ISSUES}.
+	 */
+	async validate({ headersOnly = false } = {}) {
+		const {
+			BAD_PROOF_OF_WORK,
+			BROKEN_LINK,
+			DUPLICATE,
+			HASH_MISMATCH,
+			MISSING_HEIGHT,
+		} = Constants.VALIDATION_ISSUES;
+
+		const issues = [];
+		const report = (type, height, hash, message) => 
+			issues.push({ type, height, hash, message });
+
+		const heights = new Map();
+		let below = null;
+		let difficulty = this._difficulty;
+		let timestamps = [];
+
+		for(let height=0; height<this.height; height++) {
+			let block;
+			try {
+				block = headersOnly ? 
+					await this.getHeader({ index: height }) : 
+					await this.get({ index: height });
+			} catch(err) {
+				report(MISSING_HEIGHT, height, null, 
+					`No block found at height ${height}!`);
+				below = null;
+				continue;
+			}
+
+			const { hash } = block;
+			if(block.version > Constants.LEGACY_BLOCK_VERSION && 
+					block.height !== height) {
+				report(MISSING_HEIGHT, height, hash, 
+					`Block records height ${block.height}!`);
+			}
+
+			if(height === 0 && block.previous !== Constants.GENESIS_HASH) {
+				report(BROKEN_LINK, height, hash, `Genesis block links to ` + 
+					`"${block.previous}" instead of the genesis hash!`);
+			} else if(below && block.previous !== below.hash) {
+				report(BROKEN_LINK, height, hash, `Block links to ` + 
+					`"${block.previous}" instead of "${below.hash}"!`);
+			}
+
+			if(heights.has(hash)) {
+				report(DUPLICATE, height, hash, `Block already found at ` + 
+					`height ${heights.get(hash)}!`);
+			} else {
+				heights.set(hash, height);
+			}
+
+			if(block.difficulty !== difficulty) {
+				report(BAD_PROOF_OF_WORK, height, hash, `Block difficulty ` + 
+					`${block.difficulty}, expected ${difficulty}!`);
+			} else if(!block.verify(true)) {
+				report(BAD_PROOF_OF_WORK, height, hash, `Block hash does not ` + 
+					`satisfy difficulty ${difficulty}!`);
+			} else if(!block.verify(false)) {
+				report(HASH_MISMATCH, height, hash, `Block hash does not ` + 
+					`match its content!`);
+			}
+
+			if(this._retarget) {
+				timestamps.push(block.timestamp);
+				if((height+1) % this._retarget.interval === 0) {
+					difficulty = retarget(difficulty, timestamps, 
+						this._retarget);
+					timestamps = [];
+				}
+			}
+			below = block;
+		}
+
+		return {
+			valid: issues.length < 1,
+			height: this.height,
+			issues,
+		};
+	}
+
+	/**
+	 * @return {Object} - The settings of the chain, as written by its storage 
+	 * 		adapter, see {@link StorageAdapter.writeChain}.
+	 */
+	_record() {
+		return {
+			codec: this._codec,
+			difficulty: this._difficulty,
+			hashingAlgorithm: this._hashingAlgorithm,
+			height: this._height,
+			name: this.name,
+			retarget: this._retarget,
+			signers: this._signers.toJSON(),
+		};
+	}
+
+	/**
+	 * @return {Boolean} - Whether the storage adapter of the chain holds 
+	 * 		blocks, whether or not the chain was loaded from it.
+	 */
+	async _holdsStoredBlocks() {
+		await this._storage.open();
+		const record = await this._storage.readChain();
+		if(record && record.height > 0) {
+			return true;
+		}
+		return this._storage.readHeader({ index: 0 })
+			.then(() => true, () => false);
+	}
+
+	_assertStorage(method) {
+		if(!this._storage) {
+			throw new Error(`Method '${method}' not implemented for 'chain' ` + 
+				`base class.`);
+		}
+	}
+
+	/**
+	 * Reads the settings of the chain from its storage adapter and emits the 
+	 * `load` event.
+	 * 
+	 * @return {Chain} - This chain.
+	 * @throws {Error} - If the chain has no storage adapter, no settings were 
+	 * 		written to it, or its stored codec or hashing algorithm is unknown.
+	 */
+	async load() {
+		this._assertStorage('load');
+		await this._storage.open();
+		const record = await this._storage.readChain();
+		if(!record) {
+			throw new Error(`Error loading chain with name '${this.name}'!`);
+		}
+
+		const {
+				codec=Constants.DEFAULT_CODEC,
+				difficulty=this._difficulty,
+				hashingAlgorithm=Constants.DEFAULT_HASHING_ALGORITHM,
+				height=0,
+				name=this._name,
+				retarget=this._retarget,
+				signers=this._signers,
+			} = record;
+		this._codec = getCodec(codec).name;
+		this._difficulty = difficulty;
+		this._hashingAlgorithm = resolveHashingAlgorithm(hashingAlgorithm).name;
+		this._height = height;
+		this._name = name;
+		this._retarget = normalizeRetarget(retarget);
+		this._signers = signers instanceof SignerRegistry ? 
+			signers : new SignerRegistry(signers);
+
+		this._emit(Constants.CHAIN_EVENTS.LOAD, { height: this._height });
+		return this;
+	}
+
+	/**
+	 * Writes the settings of the chain to its storage adapter and emits the 
+	 * `commit` event. Blocks are written as they are added.
 	 * 
-	 * @throws {Exception}
+	 * @return {*} - The result of {@link StorageAdapter.writeChain}.
+	 * @throws {Error} - If the chain has no storage adapter.
 	 */
-	load() {
-		throw new Error(`Method 'load' not implemented for 'chain' base ` + 
-			`class.`);
+	async commit() {
+		this._assertStorage('commit');
+		await this._storage.open();
+		const result = await this._storage.writeChain(this._record());
+		this._emit(Constants.CHAIN_EVENTS.COMMIT, { height: this._height });
+		return result;
 	}
 
 	/**
-	 * Method to be overriden by extending classes. 
+	 * Commits the chain, releases its storage adapter and emits the `close` 
+	 * event.
 	 * 
-	 * @throws {Exception}
+	 * @throws {Error} - If the chain has no storage adapter.
 	 */
-	commit() {
-		throw new Error(`Method 'commit' not implemented for 'chain' base ` + 
-			`class.`);
+	async close() {
+		this._assertStorage('close');
+		await this.commit();
+		await this._storage.close();
+		this._emit(Constants.CHAIN_EVENTS.CLOSE, { height: this._height });
 	}
 }
 
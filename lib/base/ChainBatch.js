@@ -0,0 +1,215 @@
+/**
+ * @typedef {import('./Chain')} Chain
+ */
+
+/**
+ * @typedef {import('./Constants')} Constants
+ */
+const Constants = require('./Constants');
+
+const { rejection } = require('../misc/rules');
+
+/**
+ * A set of operations staged against the canonical chain of a {@link Chain}, 
+ * created with {@link Chain.batch}. Blocks are added to and deleted from the 
+ * tip of the chain, in the order the operations were staged. Nothing is 
+ * written until {@link ChainBatch.commit}, which validates every operation 
+ * against the chain as the operations before it leave it, then applies all 
+ * of them or none.
+ * 
+ * @class ChainBatch
+ */
+class ChainBatch {
+	/**
+	 * @param {Chain} chain - The chain the operations are staged against.
+	 */
+	constructor(chain) {
+		this._chain = chain;
+		this._closed = false;
+		this._operations = [];
+	}
+
+	/**
+	 * The staged operations, as `{ operation, block }` for 
+	 * {@link Constants.CHAIN_OPERATIONS}.ADD and `{ operation, hash }` for 
+	 * {@link Constants.CHAIN_OPERATIONS}.DELETE.
+	 * 
+	 * @return {Array<Object>}
+	 */
+	get operations() {
+		return this._operations.slice(0);
+	}
+
+	/**
+	 * Whether the batch has been committed or rolled back, after which no 
+	 * more operations can be staged.
+	 */
+	get isClosed() {
+		return this._closed;
+	}
+
+	_assertOpen() {
+		if(this._closed) {
+			throw new Error(`Batch has already been committed or rolled back!`);
+		}
+	}
+
+	/**
+	 * Stages the addition of the given block on top of the chain.
+	 * 
+	 * @param  {Block} block
+	 * @return {ChainBatch}
+	 */
+	add(block) {
+		this._assertOpen();
+		if(!(block instanceof this._chain.constructor.Block)) {
+			throw new Error(`Parameter is not of instance block!`);
+		}
+		this._operations.push({ operation: Constants.CHAIN_OPERATIONS.ADD,
+			block });
+		return this;
+	}
+
+	/**
+	 * Stages the deletion of the block at the top of the chain.
+	 * 
+	 * @param  {string} [hash] - The hash the deleted block must have, if 
+	 * 		given.
+	 * @return {ChainBatch}
+	 */
+	delete(hash) {
+		this._assertOpen();
+		this._operations.push({ operation: Constants.CHAIN_OPERATIONS.DELETE,
+			hash });
+		return this;
+	}
+
+	/**
+	 * Replays the staged operations against a view of the chain, checking 
+	 * every added block against the validation rules of the chain, as 
+	 * {@link Chain.add} would, on top of the staged tip.
+	 * 
+	 * @return {Object} - `{ remove, append }`, the blocks of the chain to 
+	 * 		delete from the tip down and the blocks to append in order.
+	 * @throws {Error} - If any operation is invalid.
+	 */
+	async validate() {
+		const chain = this._chain;
+		const staged = new Map();
+		let height = chain.height;
+		let kept = chain.height;
+
+		const lookup = async (query, headersOnly) => {
+			const { hash, index } = query;
+			if(hash) {
+				for(const block of staged.values()) {
+					if(block.hash === hash) {
+						return headersOnly ? block.header : block;
+					}
+				}
+			} else if(typeof index !== 'undefined') {
+				if(staged.has(index)) {
+					const block = staged.get(index);
+					return headersOnly ? block.header : block;
+				}
+				if(index >= kept) {
+					throw new Error(`Could not find block matching ` +
+						`${JSON.stringify(query)}!`);
+				}
+			}
+			return headersOnly ? chain.getHeader(query) : chain.get(query);
+		};
+
+		const blocksInRange = async function*(from, to, headersOnly) {
+			const step = from <= to ? 1 : -1;
+			for(let index=from; index!==to+step; index+=step) {
+				yield await lookup({ index }, headersOnly);
+			}
+		};
+
+		const view = Object.create(chain, {
+			height: { get: () => height },
+			get: { value: (query) => lookup(query, false) },
+			getHeader: { value: (query) => lookup(query, true) },
+			_blocksInRange: { value: blocksInRange },
+		});
+
+		const remove = [];
+		for(const { operation, block, hash } of this._operations) {
+			const tip = height > 0 ?
+				await view.getHeader({ index: height-1 }) : null;
+
+			if(operation === Constants.CHAIN_OPERATIONS.DELETE) {
+				if(!tip) {
+					throw new Error(`Cannot delete a block from an empty ` +
+						`chain!`);
+				}
+				if(hash && tip.hash !== hash) {
+					throw new Error(`Cannot delete block "${hash}", which ` +
+						`is not at the top of the chain!`);
+				}
+				height--;
+				if(staged.has(height)) {
+					staged.delete(height);
+				} else {
+					remove.push(await chain.get({ index: height }));
+					kept = height;
+				}
+				continue;
+			}
+
+			const existing = await view.getHeader({ hash: block.hash })
+				.catch(() => null);
+			if(existing && !remove.some(b => b.hash === block.hash)) {
+				throw rejection(Constants.REJECTION_CODES.DUPLICATE, 
+					`Block "${block.hash}" is already in the chain!`);
+			}
+			await view._checkBlock(block, tip);
+			staged.set(height, block);
+			height++;
+		}
+
+		return { remove, append: [...staged.values()] };
+	}
+
+	/**
+	 * Validates the staged operations and applies them to the chain, all or 
+	 * none. Emits `block:removed` for every deleted block and `block:added` 
+	 * for every added block once all of them are applied.
+	 * 
+	 * @return {Object} - `{ added, removed }`, the blocks added to the chain 
+	 * 		and the blocks deleted from it.
+	 */
+	async commit() {
+		this._assertOpen();
+		const { remove, append } = await this.validate();
+		await this._chain._applyBatch(remove, append);
+		this._closed = true;
+
+		for(const block of remove) {
+			this._chain._emit(Constants.CHAIN_EVENTS.BLOCK_REMOVED, {
+				block,
+				height: block.height,
+			});
+		}
+		for(const block of append) {
+			this._chain._emit(Constants.CHAIN_EVENTS.BLOCK_ADDED, {
+				block,
+				canonical: true,
+				height: block.height,
+			});
+		}
+		return { added: append, removed: remove };
+	}
+
+	/**
+	 * Discards the staged operations, leaving the chain untouched.
+	 */
+	rollback() {
+		this._assertOpen();
+		this._operations = [];
+		this._closed = true;
+	}
+}
+
+module.exports = ChainBatch;
@@ -1,6 +1,57 @@
+/**
+ * The current block-format version. Version 2 blocks are hashed using the 
+ * canonical encoding of {@link module:canonical}.
+ * @const {number}
+ */
+const BLOCK_VERSION = 2;
+
+/**
+ * The name of the portable chain archive format, see {@link module:archive}.
+ * @const {string}
+ */
+const ARCHIVE_FORMAT = 'blockchain-store-archive';
+
+/**
+ * The current version of the portable chain archive format.
+ * @const {number}
+ */
+const ARCHIVE_VERSION = 1;
+
+/**
+ * The block-format version of blocks created before block versioning. These 
+ * are hashed using plain JSON.stringify over their data, nonce, previous and 
+ * salt only.
+ * @const {number}
+ */
+const LEGACY_BLOCK_VERSION = 1;
+
+/**
+ * The codecs with which a chain may store its blocks, see 
+ * {@link module:codecs}.
+ * @const {Object}
+ */
+const CHAIN_CODECS = {
+	CBOR: 'cbor',
+	JSON: 'json'
+};
+
+/**
+ * The events emitted by a chain, see {@link Chain}.
+ * @const {Object}
+ */
+const CHAIN_EVENTS = {
+	BLOCK_ADDED: 'block:added',
+	BLOCK_REJECTED: 'block:rejected',
+	BLOCK_REMOVED: 'block:removed',
+	CLOSE: 'close',
+	COMMIT: 'commit',
+	LOAD: 'load',
+	REORG: 'reorg'
+};
+
 /**
  * The operations used when storing actions performed on a chain between 
- * commits.
+ * commits, see {@link ChainBatch}.
  * @const {Object}
  */
 const CHAIN_OPERATIONS = {
@@ -14,17 +65,151 @@ const CHAIN_OPERATIONS = {
  */
 const CHAIN_STORAGE_MODES = {
 	FILE: 'file',
+	LOG: 'log',
 	MONGO: 'mongo',
 	NONE: null
 };
 
+/**
+ * The codec used by chains which do not specify one.
+ * @const {string}
+ */
+const DEFAULT_CODEC = CHAIN_CODECS.JSON;
+
+/**
+ * The default proof-of-work difficulty, expressed as the number of trailing 
+ * zeros a block hash must have.
+ * @const {number}
+ */
+const DEFAULT_DIFFICULTY = 4;
+
+/**
+ * The name of the hashing algorithm used by blocks and chains which do not 
+ * specify one, see {@link module:algorithms}.
+ * @const {string}
+ */
+const DEFAULT_HASHING_ALGORITHM = 'SHA256';
+
+/**
+ * The default options used when automatic difficulty retargeting is enabled 
+ * for a chain.
+ * @const {Object}
+ */
+const DEFAULT_RETARGET = {
+	interval: 10,
+	maxDifficulty: 8,
+	minDifficulty: 1,
+	targetBlockTimeMs: 60000,
+};
+
+/**
+ * The size in bytes, 64 MiB, past which the log-based storage starts a new 
+ * segment file, for chains which do not specify one.
+ * @const {number}
+ */
+const DEFAULT_SEGMENT_SIZE = 64 * 1024 * 1024;
+
+/**
+ * The orders in which {@link Chain.range} lists blocks, by height.
+ * @const {Object}
+ */
+const RANGE_ORDERS = {
+	ASC: 'asc',
+	DESC: 'desc'
+};
+
+/**
+ * The number of blocks listed per page by {@link Chain.range} when no limit 
+ * is given.
+ * @const {number}
+ */
+const DEFAULT_RANGE_LIMIT = 100;
+
+/**
+ * The number of blocks between the state snapshots kept by a 
+ * {@link Ledger} which does not specify one.
+ * @const {number}
+ */
+const DEFAULT_SNAPSHOT_INTERVAL = 100;
+
+/**
+ * The orders in which a {@link Mempool} assembles its pending entries into 
+ * blocks: by arrival, or by priority then arrival.
+ * @const {Object}
+ */
+const MEMPOOL_ORDERS = {
+	ARRIVAL: 'arrival',
+	PRIORITY: 'priority'
+};
+
+/**
+ * The maximum number of entries assembled into a block by a {@link Mempool} 
+ * which does not specify one.
+ * @const {number}
+ */
+const DEFAULT_BLOCK_ENTRIES = 100;
+
+/**
+ * The types of the issues listed in the report of {@link Chain.validate}.
+ * @const {Object}
+ */
+const VALIDATION_ISSUES = {
+	BAD_PROOF_OF_WORK: 'bad-proof-of-work',
+	BROKEN_LINK: 'broken-link',
+	DUPLICATE: 'duplicate',
+	HASH_MISMATCH: 'hash-mismatch',
+	MISSING_HEIGHT: 'missing-height'
+};
+
+/**
+ * The reason codes carried in the `code` field of the errors of rejected 
+ * blocks, see {@link Chain.use}, and of rejected ledger transactions, see 
+ * {@link Ledger}.
+ * @const {Object}
+ */
+const REJECTION_CODES = {
+	BAD_DIFFICULTY: 'bad-difficulty',
+	BAD_HASHING_ALGORITHM: 'bad-hashing-algorithm',
+	BAD_HEIGHT: 'bad-height',
+	BAD_LINK: 'bad-link',
+	BAD_PROOF_OF_WORK: 'bad-proof-of-work',
+	BAD_SIGNATURE: 'bad-signature',
+	BAD_TIMESTAMP: 'bad-timestamp',
+	BLOCK_TOO_LARGE: 'block-too-large',
+	DUPLICATE: 'duplicate',
+	DUPLICATE_TRANSACTION: 'duplicate-transaction',
+	INVALID_TRANSACTION: 'invalid-transaction',
+	NOT_MINED: 'not-mined',
+	OVERDRAFT: 'overdraft',
+	RULE_FAILED: 'rule-failed',
+	UNKNOWN_PARENT: 'unknown-parent'
+};
+
 /**
  * @const {string}
  */
 const GENESIS_HASH = (new Array(65)).join('0');
 
 module.exports = {
+	ARCHIVE_FORMAT,
+	ARCHIVE_VERSION,
+	BLOCK_VERSION,
+	CHAIN_CODECS,
+	CHAIN_EVENTS,
 	CHAIN_OPERATIONS,
 	CHAIN_STORAGE_MODES,
+	DEFAULT_BLOCK_ENTRIES,
+	DEFAULT_CODEC,
+	DEFAULT_DIFFICULTY,
+	DEFAULT_HASHING_ALGORITHM,
+	DEFAULT_RANGE_LIMIT,
+	DEFAULT_RETARGET,
+	DEFAULT_SEGMENT_SIZE,
+	DEFAULT_SNAPSHOT_INTERVAL,
 	GENESIS_HASH,
+	LEGACY_BLOCK_VERSION,
+	MEMPOOL_ORDERS,
+	RANGE_ORDERS,
+	REJECTION_CODES,
+	VALIDATION_ISSUES,
 };
\ No newline at end of file
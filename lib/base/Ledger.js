@@ -0,0 +1,333 @@
+/**
+ * @typedef {import('./Chain')} Chain
+ */
+
+/**
+ * @typedef {import('./Constants')} Constants
+ */
+const Constants = require('./Constants');
+
+const { rejection } = require('../misc/rules');
+
+const { REJECTION_CODES } = Constants;
+
+/**
+ * Returns the transactions held by the given block. A transaction is an 
+ * object with `to` and `amount` fields, and optionally `from` and `id` 
+ * fields; a data entry is either a transaction or an array of transactions. 
+ * Other data entries are ignored. Transactions which must not be replayed 
+ * must carry an `id`, see {@link Ledger.transactionId}.
+ * 
+ * @param  {Block} block
+ * @return {Array<Object>}
+ */
+const transactionsOf = (block) => {
+	const isTransaction = (entry) => entry !== null &&
+		typeof entry === 'object' && !Array.isArray(entry) &&
+		'to' in entry && 'amount' in entry;
+
+	return (Array.isArray(block.data) ? block.data : [])
+		.flatMap(entry => Array.isArray(entry) ? entry : [entry])
+		.filter(isTransaction);
+};
+
+/**
+ * An account ledger computed by replaying the transactions of the canonical 
+ * chain of a {@link Chain}. A transaction moves its amount from its `from` 
+ * account to its `to` account; a transaction without a `from` account 
+ * issues new funds, such as a block reward. Blocks which overdraw an account 
+ * or repeat a transaction ID are rejected.
+ * 
+ * The ledger keeps a snapshot of its state every `snapshotInterval` blocks, 
+ * so that balances are computed from the nearest snapshot rather than from 
+ * the genesis block. Snapshots above a reorganisation of the chain are 
+ * dropped. The latest state can be saved with {@link Ledger.snapshot} and 
+ * given back to a new ledger to resume from it.
+ * 
+ * @class Ledger
+ */
+class Ledger {
+	/**
+	 * @param {Chain} chain - The chain whose transactions are replayed.
+	 * @param {Object} [options={}]
+	 * @param {Object} [options.balances={}] - The balances of the accounts 
+	 * 		before the genesis block, by account.
+	 * @param {Object} [options.snapshot] - A state saved with 
+	 * 		{@link Ledger.snapshot}, to resume from.
+	 * @param {number} [options.snapshotInterval] - The number of blocks 
+	 * 		between snapshots, {@link Constants.DEFAULT_SNAPSHOT_INTERVAL} by 
+	 * 		default.
+	 * @param {Function} [options.transactions] - A function returning the 
+	 * 		transactions of a block, see {@link transactionsOf}.
+	 */
+	constructor(chain, {
+		balances = {},
+		snapshot,
+		snapshotInterval = Constants.DEFAULT_SNAPSHOT_INTERVAL,
+		transactions = transactionsOf
+	} = {}) {
+		if(!Number.isInteger(snapshotInterval) || snapshotInterval < 1) {
+			throw new Error(`Snapshot interval must be a positive integer!`);
+		}
+
+		this._chain = chain;
+		this._snapshotInterval = snapshotInterval;
+		this._transactions = transactions;
+		this._snapshots = [{
+			height: 0,
+			hash: Constants.GENESIS_HASH,
+			balances: new Map(Object.entries(balances)),
+			ids: new Set(),
+		}];
+
+		if(snapshot) {
+			this._snapshots.push({
+				height: snapshot.height,
+				hash: snapshot.hash,
+				balances: new Map(Object.entries(snapshot.balances)),
+				ids: new Set(snapshot.transactions),
+			});
+		}
+	}
+
+	get chain() {
+		return this._chain;
+	}
+
+	/**
+	 * The heights of the snapshots held by the ledger, i.e. the number of 
+	 * blocks replayed into each snapshot.
+	 * 
+	 * @return {Array<number>}
+	 */
+	get snapshots() {
+		return this._snapshots.map(s => s.height);
+	}
+
+	/**
+	 * @param  {Object} transaction
+	 * @param  {Block} block - The block holding the transaction.
+	 * @param  {number} index - The index of the transaction in the block.
+	 * @return {string} - The ID of the transaction: its `id` field, or its 
+	 * 		position in the chain, so that identical transactions without an 
+	 * 		`id` are told apart rather than rejected as duplicates. Only 
+	 * 		`id` fields are recorded to reject repeated transactions.
+	 */
+	transactionId(transaction, block, index) {
+		return typeof transaction.id !== 'undefined' ?
+			`${transaction.id}` : `${block.hash}:${index}`;
+	}
+
+	_clone({ height, hash, balances, ids }) {
+		return {
+			height,
+			hash,
+			balances: new Map(balances),
+			ids: new Set(ids),
+		};
+	}
+
+	/**
+	 * Applies the transactions of the given block to the given state.
+	 * 
+	 * @param {Object} state - The state to update.
+	 * @param {Block} block
+	 * @throws {Error} - If a transaction is invalid, overdraws its account or 
+	 * 		repeats the `id` of an earlier transaction, with the matching 
+	 * 		{@link Constants.REJECTION_CODES} in its `code` field.
+	 */
+	_apply(state, block) {
+		const transactions = this._transactions(block);
+		for(let i=0; i<transactions.length; i++) {
+			const transaction = transactions[i];
+			const { amount, from, to } = transaction;
+			const id = this.transactionId(transaction, block, i);
+			const recorded = typeof transaction.id !== 'undefined';
+			if(recorded && state.ids.has(id)) {
+				throw rejection(REJECTION_CODES.DUPLICATE_TRANSACTION, 
+					`Duplicate transaction "${id}" in block "${block.hash}"!`);
+			}
+			if(typeof amount !== 'number' || !Number.isFinite(amount) ||
+					amount <= 0) {
+				throw rejection(REJECTION_CODES.INVALID_TRANSACTION, 
+					`Invalid amount ${amount} of transaction "${id}"!`);
+			}
+			if(from !== null && typeof from !== 'undefined') {
+				const balance = state.balances.get(from) || 0;
+				if(balance < amount) {
+					throw rejection(REJECTION_CODES.OVERDRAFT, `Transaction ` +
+						`"${id}" overdraws account "${from}" (balance ` +
+						`${balance}, amount ${amount})!`);
+				}
+				state.balances.set(from, balance - amount);
+			}
+			state.balances.set(to, (state.balances.get(to) || 0) + amount);
+			if(recorded) {
+				state.ids.add(id);
+			}
+		}
+		state.height++;
+		state.hash = block.hash;
+	}
+
+	/**
+	 * @param  {Object} snapshot
+	 * @param  {Chain} chain - The chain, or a view of it, see 
+	 * 		{@link Ledger.check}.
+	 * @return {Boolean} - Whether the blocks replayed into the snapshot are 
+	 * 		still those of the canonical chain.
+	 */
+	async _isCurrent({ height, hash }, chain) {
+		if(height === 0) {
+			return true;
+		}
+		if(height > chain.height) {
+			return false;
+		}
+		const header = await chain.getHeader({ index: height-1 });
+		return header.hash === hash;
+	}
+
+	/**
+	 * Computes the state of the ledger once the given number of canonical 
+	 * blocks are replayed, starting from the nearest current snapshot and 
+	 * taking new snapshots along the way. Snapshots are only taken, and 
+	 * dropped, for the chain of the ledger itself rather than for a view of 
+	 * it.
+	 * 
+	 * @param  {number} height - The number of blocks to replay.
+	 * @param  {Chain} [chain=this.chain] - The chain, or a view of it, see 
+	 * 		{@link Ledger.check}.
+	 * @return {Object} - The state, which must not be modified.
+	 */
+	async _stateAt(height, chain = this._chain) {
+		const own = chain === this._chain;
+		let snapshot;
+		for(let i=this._snapshots.length-1; i>=0; i--) {
+			const candidate = this._snapshots[i];
+			if(candidate.height > height) {
+				continue;
+			}
+			if(await this._isCurrent(candidate, chain)) {
+				snapshot = candidate;
+				break;
+			}
+			if(own) {
+				this._snapshots.splice(i, 1);
+			}
+		}
+		if(snapshot.height === height) {
+			return snapshot;
+		}
+
+		const state = this._clone(snapshot);
+		const blocks = chain.blocksFrom({
+				start: snapshot.height,
+				end: height-1,
+			});
+		for await (const block of blocks) {
+			this._apply(state, block);
+			if(own && state.height % this._snapshotInterval === 0) {
+				this._snapshots = this._snapshots
+					.filter(s => s.height < state.height)
+					.concat(this._clone(state));
+			}
+		}
+		return state;
+	}
+
+	/**
+	 * Returns the balance of the given account.
+	 * 
+	 * @param  {string} account
+	 * @param  {Object} [options={}]
+	 * @param  {number} [options.atHeight] - The height of the block after 
+	 * 		which the balance is read, the tip of the chain by default.
+	 * @return {number}
+	 */
+	async balanceOf(account, { atHeight = this._chain.height-1 } = {}) {
+		if(!Number.isInteger(atHeight) || atHeight < -1 ||
+				atHeight >= this._chain.height) {
+			throw new RangeError(`Height ${atHeight} is out of range!`);
+		}
+		const { balances } = await this._stateAt(atHeight+1);
+		return balances.get(account) || 0;
+	}
+
+	/**
+	 * Checks the transactions of the given block against the state of the 
+	 * ledger at its parent, whether the parent is on the canonical chain or 
+	 * on a side branch. The parents of the block are read from the given 
+	 * chain, which may be the view of the chain a {@link ChainBatch} checks 
+	 * its staged blocks against.
+	 * 
+	 * @param {Block} block
+	 * @param {Chain} [chain=this.chain] - The chain, or a view of it.
+	 * @throws {Error} - If the block overdraws an account or repeats a 
+	 * 		transaction ID.
+	 */
+	async check(block, chain = this._chain) {
+		const branch = [];
+		let height = 0;
+		let previous = block.previous;
+		while(previous !== Constants.GENESIS_HASH) {
+			const parent = await chain.get({ hash: previous });
+			if(await chain._isCanonical(parent)) {
+				height = parent.height+1;
+				break;
+			}
+			branch.unshift(parent);
+			previous = parent.previous;
+		}
+
+		const state = this._clone(await this._stateAt(height, chain));
+		for(const parent of branch) {
+			this._apply(state, parent);
+		}
+		this._apply(state, block);
+	}
+
+	/**
+	 * Checks the given block, see {@link Ledger.check}, and adds it to the 
+	 * chain if its transactions are valid.
+	 * 
+	 * @param  {Block} block
+	 * @return {*} - The result of {@link Chain.add}.
+	 */
+	async add(block) {
+		await this.check(block);
+		return this._chain.add(block);
+	}
+
+	/**
+	 * Returns a validation rule checking the transactions of every block 
+	 * added to the chain, see {@link Chain.use}, so that blocks are checked 
+	 * by the ledger however they are added, including through a 
+	 * {@link ChainBatch}.
+	 * 
+	 * @return {Function}
+	 */
+	rule() {
+		return async (block, parent, chain) => this.check(block, chain);
+	}
+
+	/**
+	 * Replays the chain up to its tip and returns the state of the ledger, 
+	 * which can be given to a new ledger to resume from it.
+	 * 
+	 * @return {Object} - `{ height, hash, balances, transactions }`, the 
+	 * 		transactions being the `id` fields of the replayed transactions.
+	 */
+	async snapshot() {
+		const { height, hash, balances, ids } =
+			await this._stateAt(this._chain.height);
+		return {
+			height,
+			hash,
+			balances: Object.fromEntries(balances),
+			transactions: [...ids],
+		};
+	}
+}
+
+module.exports = Ledger;
@@ -0,0 +1,298 @@
+/**
+ * @typedef {import('./Block')} Block
+ */
+const Block = require('./Block');
+
+/**
+ * @typedef {import('./BlockHeader')} BlockHeader
+ */
+const BlockHeader = require('./BlockHeader');
+
+/**
+ * @typedef {import('./Chain')} Chain
+ */
+const Chain = require('./Chain');
+
+/**
+ * @typedef {import('./Constants')} Constants
+ */
+const Constants = require('./Constants');
+
+/**
+ * @typedef {import('./SignerRegistry')} SignerRegistry
+ */
+const SignerRegistry = require('./SignerRegistry');
+
+const { resolveHashingAlgorithm } = require('../misc/algorithms');
+const { blockWork, normalizeRetarget } = require('../misc/difficulty');
+const { defaultRules, rejection } = require('../misc/rules');
+
+/**
+ * A light client of a chain, which holds and verifies block headers only. 
+ * Headers are pulled from a {@link Chain} of any backend with 
+ * {@link LightClient.sync}; each header must link to its parent, carry the 
+ * difficulty in force at its height, hash to its own hash and, unless the 
+ * client allows unsigned headers, be signed by one of its trusted signers. 
+ * The data of a block is committed to by the Merkle root of its header, so 
+ * that the inclusion of an entry can be confirmed from a proof served by a 
+ * full node, see {@link Chain.inclusionProof}, without the rest of the block.
+ * 
+ * Like a chain, the client follows the branch holding the most cumulative 
+ * proof of work; on equal work, the headers it already holds are kept.
+ * 
+ * @class LightClient
+ */
+class LightClient {
+	/**
+	 * @param {Object} [options={}] - The consensus options of the chain 
+	 * 		followed, as for {@link Chain}: `{ allowUnsigned, difficulty, 
+	 * 		hashingAlgorithm, name, retarget, signers }`.
+	 */
+	constructor(options = {}) {
+		const {
+				allowUnsigned = false,
+				difficulty = Constants.DEFAULT_DIFFICULTY,
+				hashingAlgorithm = Constants.DEFAULT_HASHING_ALGORITHM,
+				name = 'light-client',
+				retarget = null,
+				signers = [],
+			} = options;
+
+		this._allowUnsigned = allowUnsigned === true;
+		this._difficulty = difficulty;
+		this._hashingAlgorithm = resolveHashingAlgorithm(hashingAlgorithm).name;
+		this._headers = [];
+		this._headersByHash = new Map();
+		this._name = name;
+		this._retarget = normalizeRetarget(retarget);
+		this._rules = defaultRules();
+		this._signers = signers instanceof SignerRegistry ?
+			signers : new SignerRegistry(signers);
+	}
+
+	/**
+	 * Creates a light client with the consensus options of the given chain.
+	 * 
+	 * @param  {Chain} chain
+	 * @param  {Object} [options={}] - Options overriding those of the chain.
+	 * @return {LightClient}
+	 */
+	static fromChain(chain, options = {}) {
+		return new LightClient({
+			allowUnsigned: chain.allowUnsigned,
+			difficulty: chain.difficulty,
+			hashingAlgorithm: chain.hashingAlgorithm,
+			name: `${chain.name}-LIGHT`,
+			retarget: chain.retarget,
+			signers: chain.signers,
+			...options,
+		});
+	}
+
+	get allowUnsigned() {
+		return this._allowUnsigned;
+	}
+
+	get difficulty() {
+		return this._difficulty;
+	}
+
+	get hashingAlgorithm() {
+		return this._hashingAlgorithm;
+	}
+
+	/**
+	 * The number of headers of the canonical chain held by the client.
+	 * 
+	 * @return {number}
+	 */
+	get height() {
+		return this._headers.length;
+	}
+
+	get name() {
+		return this._name;
+	}
+
+	/**
+	 * Whether every header must be signed by a trusted signer, see 
+	 * {@link Chain.requiresSignatures}.
+	 * 
+	 * @return {Boolean}
+	 */
+	get requiresSignatures() {
+		return this._signers.size > 0 || !this._allowUnsigned;
+	}
+
+	get retarget() {
+		return this._retarget;
+	}
+
+	get signers() {
+		return this._signers;
+	}
+
+	/**
+	 * The header of the latest block, or null if no header is held.
+	 * 
+	 * @return {BlockHeader|null}
+	 */
+	get tip() {
+		return this._headers.length > 0 ?
+			this._headers[this._headers.length-1] : null;
+	}
+
+	/**
+	 * Returns the header matching the given query, by hash or by index 
+	 * (height) on the canonical chain.
+	 * 
+	 * @param  {Object} query - `{ hash, index }`.
+	 * @return {BlockHeader}
+	 */
+	async getHeader({ hash, index }) {
+		let header;
+		if(hash) {
+			header = this._headersByHash.get(hash);
+		} else if(typeof index !== 'undefined') {
+			header = this._headers[index];
+		}
+
+		if(!header) {
+			throw new Error(`Could not find block matching ` +
+				`${JSON.stringify({ hash, index })}!`);
+		}
+		return header;
+	}
+
+	/**
+	 * Returns the difficulty a block at the given height must be mined with, 
+	 * computed from the headers held as {@link Chain.difficultyAt} does.
+	 * 
+	 * @param  {number} [height=this.height]
+	 * @param  {string} [previous] - The hash of the parent of the block.
+	 * @return {number}
+	 */
+	async difficultyAt(height = this.height, previous) {
+		return Chain.prototype.difficultyAt.call(this, height, previous);
+	}
+
+	/**
+	 * Returns a block locator of the headers held, see {@link Chain.locator}.
+	 * 
+	 * @return {Array<string>}
+	 */
+	async locator() {
+		return Chain.prototype.locator.call(this);
+	}
+
+	/**
+	 * Verifies the given header as the child of the given parent header.
+	 * 
+	 * @param {BlockHeader} header
+	 * @param {BlockHeader|null} parent
+	 * @throws {Error} - With one of the {@link Constants.REJECTION_CODES} in 
+	 * 		its `code` field.
+	 */
+	async _checkHeader(header, parent) {
+		if(!header.verify(false)) {
+			throw rejection(Constants.REJECTION_CODES.BAD_PROOF_OF_WORK,
+				`Header "${header.hash}" does not match its hash!`);
+		}
+		for(const rule of this._rules) {
+			await rule(header, parent, this);
+		}
+	}
+
+	/**
+	 * Pulls and verifies the headers of the canonical chain of the given 
+	 * chain, of any backend, which the client is missing. If the client holds 
+	 * headers above the common ancestor, the pulled headers replace them 
+	 * only if they hold more cumulative work.
+	 * 
+	 * @param  {Chain} chain - The chain to pull headers from.
+	 * @return {Object} - `{ ancestor, connected, disconnected }`, the header 
+	 * 		of the common ancestor (or null), the headers connected from the 
+	 * 		fork point up and the headers disconnected from the former tip 
+	 * 		down.
+	 */
+	async sync(chain) {
+		const ancestor = await chain.findCommonAncestor(await this.locator());
+		let start = ancestor ? ancestor.height+1 : 0;
+		let parent = ancestor ?
+			await this.getHeader({ hash: ancestor.hash }) : null;
+		const connected = [];
+
+		try {
+			const headers = start < chain.height ?
+				chain.blocksFrom({ start, headersOnly: true }) : [];
+			for await (const remote of headers) {
+				const known = this._headers[remote.height];
+				if(connected.length < 1 && known && known.hash === remote.hash) {
+					parent = known;
+					start++;
+					continue;
+				}
+				const header = new BlockHeader(remote.toJSON());
+				await this._checkHeader(header, parent);
+				this._headersByHash.set(header.hash, header);
+				connected.push(header);
+				parent = header;
+			}
+		} catch(err) {
+			connected.forEach(h => this._headersByHash.delete(h.hash));
+			throw err;
+		}
+
+		const disconnected = this._headers.slice(start);
+		const work = (headers) => headers.reduce(
+			(sum, header) => sum + blockWork(header.difficulty), 0n);
+		if(work(connected) <= work(disconnected)) {
+			connected.forEach(h => this._headersByHash.delete(h.hash));
+			return { ancestor, connected: [], disconnected: [] };
+		}
+
+		disconnected.forEach(h => this._headersByHash.delete(h.hash));
+		this._headers.splice(start, disconnected.length, ...connected);
+		return { ancestor, connected, disconnected: disconnected.reverse() };
+	}
+
+	/**
+	 * Returns the number of confirmations of the block with the given hash: 
+	 * 1 for the tip, one more for every block above it, 0 if the block is not 
+	 * on the canonical chain held by the client.
+	 * 
+	 * @param  {string} hash
+	 * @return {number}
+	 */
+	confirmations(hash) {
+		const header = this._headersByHash.get(hash);
+		return header ? this.height - header.height : 0;
+	}
+
+	/**
+	 * Confirms that the given data entry is included in a block of the 
+	 * canonical chain held by the client, from a proof served by a full node.
+	 * 
+	 * @param  {*} entry - The data entry.
+	 * @param  {Object} inclusion - `{ hash, proof }`, as returned by 
+	 * 		{@link Chain.inclusionProof}.
+	 * @return {Object} - `{ included, confirmations, height }`, whether the 
+	 * 		entry is included, the number of confirmations of its block and 
+	 * 		the height of its block (null if not included).
+	 */
+	verifyInclusion(entry, { hash, proof }) {
+		const header = this._headersByHash.get(hash);
+		if(!header || !header.root ||
+				!Block.verifyProof(entry, proof, header.root,
+					header.hashingAlgorithm, header.version)) {
+			return { included: false, confirmations: 0, height: null };
+		}
+		return {
+			included: true,
+			confirmations: this.confirmations(hash),
+			height: header.height,
+		};
+	}
+}
+
+module.exports = LightClient;
@@ -0,0 +1,283 @@
+/**
+ * @typedef {import('./Chain')} Chain
+ */
+
+/**
+ * @typedef {import('./Constants')} Constants
+ */
+const Constants = require('./Constants');
+
+const { getHashingAlgorithm } = require('../misc/algorithms');
+
+/**
+ * Returns the priority of the given entry: its `priority` field if it is a 
+ * number, 0 otherwise.
+ * 
+ * @param  {*} entry
+ * @return {number}
+ */
+const priorityOf = (entry) => entry !== null && typeof entry === 'object' &&
+	typeof entry.priority === 'number' ? entry.priority : 0;
+
+/**
+ * @param  {Block} block
+ * @return {Array} - The data entries of the block.
+ */
+const entriesOf = (block) =>
+	Array.isArray(block.data) ? block.data : [block.data];
+
+/**
+ * A pool of pending entries, assembled into the next block of the canonical 
+ * chain of a {@link Chain}. Entries are deduplicated by ID and assembled by 
+ * arrival or by priority, see {@link Constants.MEMPOOL_ORDERS}.
+ * 
+ * The pool follows the events of the chain: entries are evicted once a block 
+ * holding them is added to the canonical chain, and put back into the pool 
+ * when a truncation or a reorganisation removes that block from it. Entries 
+ * put back are assembled before the entries which arrived after them.
+ * 
+ * @class Mempool
+ */
+class Mempool {
+	/**
+	 * @param {Chain} chain - The chain whose next blocks are assembled.
+	 * @param {Object} [options={}]
+	 * @param {Function} [options.id] - A function returning the ID of an 
+	 * 		entry, the hash of the entry with the hashing algorithm of the 
+	 * 		chain by default.
+	 * @param {number} [options.maxEntries] - The maximum number of entries 
+	 * 		per block, {@link Constants.DEFAULT_BLOCK_ENTRIES} by default.
+	 * @param {string} [options.order] - One of 
+	 * 		{@link Constants.MEMPOOL_ORDERS}, by arrival by default.
+	 * @param {Function} [options.priority] - A function returning the 
+	 * 		priority of an entry, higher first, see {@link priorityOf}.
+	 */
+	constructor(chain, {
+		id,
+		maxEntries = Constants.DEFAULT_BLOCK_ENTRIES,
+		order = Constants.MEMPOOL_ORDERS.ARRIVAL,
+		priority = priorityOf
+	} = {}) {
+		this._assertMaxEntries(maxEntries);
+		if(!Object.values(Constants.MEMPOOL_ORDERS).includes(order)) {
+			throw new Error(`Invalid mempool order '${order}'!`);
+		}
+
+		const hashingAlgorithm = getHashingAlgorithm(chain.hashingAlgorithm);
+		this._chain = chain;
+		this._id = id || ((entry) => hashingAlgorithm(entry));
+		this._maxEntries = maxEntries;
+		this._order = order;
+		this._priority = priority;
+		this._pending = new Map();
+		this._first = 0;
+		this._next = 0;
+
+		const { BLOCK_ADDED, BLOCK_REMOVED, REORG } = Constants.CHAIN_EVENTS;
+		this._listeners = {
+			[BLOCK_ADDED]: ({ block, canonical }) => {
+				if(canonical) {
+					this._evict([block]);
+				}
+			},
+			[BLOCK_REMOVED]: ({ block }) => this._restore([block]),
+			[REORG]: ({ connected, disconnected }) => {
+				this._restore(disconnected.slice(0).reverse());
+				this._evict(connected);
+			},
+		};
+		for(const [event, listener] of Object.entries(this._listeners)) {
+			chain.on(event, listener);
+		}
+	}
+
+	get chain() {
+		return this._chain;
+	}
+
+	get maxEntries() {
+		return this._maxEntries;
+	}
+
+	get order() {
+		return this._order;
+	}
+
+	/**
+	 * The number of pending entries.
+	 * 
+	 * @return {number}
+	 */
+	get size() {
+		return this._pending.size;
+	}
+
+	_assertMaxEntries(maxEntries) {
+		if(!Number.isInteger(maxEntries) || maxEntries < 1) {
+			throw new Error(`Maximum number of entries per block must be a ` +
+				`positive integer!`);
+		}
+	}
+
+	/**
+	 * @param  {*} entry
+	 * @return {string} - The ID of the entry, under which it is deduplicated.
+	 */
+	entryId(entry) {
+		return `${this._id(entry)}`;
+	}
+
+	/**
+	 * @param  {string} id
+	 * @return {Boolean} - Whether an entry with the given ID is pending.
+	 */
+	has(id) {
+		return this._pending.has(id);
+	}
+
+	/**
+	 * Adds the given entry to the pool, unless an entry with the same ID is 
+	 * already pending.
+	 * 
+	 * @param  {*} entry
+	 * @return {Boolean} - Whether the entry was added.
+	 */
+	add(entry) {
+		if(typeof entry === 'undefined') {
+			throw new Error(`Cannot add an undefined entry to the mempool!`);
+		}
+		const id = this.entryId(entry);
+		if(this._pending.has(id)) {
+			return false;
+		}
+		this._pending.set(id, { entry, sequence: this._next++ });
+		return true;
+	}
+
+	/**
+	 * Removes the entry with the given ID from the pool.
+	 * 
+	 * @param  {string} id
+	 * @return {Boolean} - Whether an entry was removed.
+	 */
+	delete(id) {
+		return this._pending.delete(id);
+	}
+
+	/**
+	 * Removes every pending entry.
+	 */
+	clear() {
+		this._pending.clear();
+	}
+
+	/**
+	 * Returns the pending entries in the order in which they are assembled 
+	 * into blocks.
+	 * 
+	 * @param  {number} [limit] - The maximum number of entries returned, all 
+	 * 		of them by default.
+	 * @return {Array}
+	 */
+	entries(limit = this._pending.size) {
+		const records = [...this._pending.values()];
+		if(this._order === Constants.MEMPOOL_ORDERS.PRIORITY) {
+			for(const record of records) {
+				record.priority = this._priority(record.entry);
+			}
+			records.sort((a, b) =>
+				b.priority - a.priority || a.sequence - b.sequence);
+		} else {
+			records.sort((a, b) => a.sequence - b.sequence);
+		}
+		return records.slice(0, limit).map(r => r.entry);
+	}
+
+	/**
+	 * Removes the entries of the given blocks from the pool.
+	 * 
+	 * @param {Array<Block>} blocks
+	 */
+	_evict(blocks) {
+		for(const block of blocks) {
+			for(const entry of entriesOf(block)) {
+				this._pending.delete(this.entryId(entry));
+			}
+		}
+	}
+
+	/**
+	 * Puts the entries of the given blocks back into the pool, ahead of the 
+	 * pending entries and in the order of the blocks.
+	 * 
+	 * @param {Array<Block>} blocks - The blocks, in chain order.
+	 */
+	_restore(blocks) {
+		const entries = blocks.flatMap(entriesOf);
+		this._first -= entries.length;
+		entries.forEach((entry, i) => {
+			const id = this.entryId(entry);
+			if(!this._pending.has(id)) {
+				this._pending.set(id, { entry, sequence: this._first + i });
+			}
+		});
+	}
+
+	/**
+	 * Assembles the next block of the canonical chain from the pending 
+	 * entries, on top of the current tip and with the difficulty in force at 
+	 * its height. The entries stay in the pool until the block is added to 
+	 * the chain.
+	 * 
+	 * @param  {Object} [options={}]
+	 * @param  {number} [options.maxEntries] - The maximum number of entries 
+	 * 		of the block, the maximum of the pool by default.
+	 * @return {Block} - The block, which has not been mined.
+	 */
+	async assemble({ maxEntries = this._maxEntries } = {}) {
+		this._assertMaxEntries(maxEntries);
+		const chain = this._chain;
+		const height = chain.height;
+		const tip = height > 0 ?
+			await chain.getHeader({ index: height-1 }) : null;
+
+		return new chain.constructor.Block({
+			data: this.entries(maxEntries),
+			difficulty: await chain.difficultyAt(height,
+				tip ? tip.hash : undefined),
+			hashingAlgorithm: chain.hashingAlgorithm,
+			height,
+			previous: tip ? tip.hash : Constants.GENESIS_HASH,
+		});
+	}
+
+	/**
+	 * Assembles the next block, see {@link Mempool.assemble}, and mines it. 
+	 * The block is not added to the chain.
+	 * 
+	 * @param  {Object} [options={}] - The options of 
+	 * 		{@link Mempool.assemble} and {@link Block.mine}.
+	 * @param  {crypto.KeyObject|string} [options.privateKey] - A key with 
+	 * 		which the block is signed once mined, see {@link Block.sign}.
+	 * @return {Block} - The mined block.
+	 */
+	async mine({ maxEntries, privateKey, ...options } = {}) {
+		const block = await this.assemble({ maxEntries });
+		await block.mine(options);
+		if(privateKey) {
+			block.sign(privateKey);
+		}
+		return block;
+	}
+
+	/**
+	 * Stops following the events of the chain.
+	 */
+	close() {
+		for(const [event, listener] of Object.entries(this._listeners)) {
+			this._chain.removeListener(event, listener);
+		}
+	}
+}
+
+module.exports = Mempool;
@@ -0,0 +1,97 @@
+const {
+	keyId,
+	toPublicKey,
+	verifyHash
+} = require('../misc/signature');
+
+/**
+ * A per-chain registry of the public keys trusted to sign blocks. Keys are 
+ * indexed by their key ID, see {@link module:signature.keyId}.
+ * 
+ * @class SignerRegistry
+ */
+class SignerRegistry {
+	/**
+	 * @param {Array} [keys=[]] - The trusted keys, either as KeyObjects, PEM 
+	 * 		strings, or serialized `{ id, publicKey }` entries.
+	 */
+	constructor(keys = []) {
+		this._keys = new Map();
+
+		for(const key of keys) {
+			this.add(key && key.publicKey ? key.publicKey : key);
+		}
+	}
+
+	/**
+	 * The number of trusted keys in the registry.
+	 */
+	get size() {
+		return this._keys.size;
+	}
+
+	/**
+	 * Adds a key to the registry. A private key may be given, in which case 
+	 * only its public part is kept.
+	 * 
+	 * @param  {crypto.KeyObject|string|Buffer} key
+	 * @return {string} - The ID of the added key.
+	 */
+	add(key) {
+		const publicKey = toPublicKey(key);
+		const id = keyId(publicKey);
+		this._keys.set(id, publicKey);
+		return id;
+	}
+
+	/**
+	 * @param  {string} id
+	 * @return {crypto.KeyObject|undefined}
+	 */
+	get(id) {
+		return this._keys.get(id);
+	}
+
+	/**
+	 * @param  {string} id
+	 * @return {Boolean}
+	 */
+	has(id) {
+		return this._keys.has(id);
+	}
+
+	/**
+	 * @param  {string} id
+	 * @return {Boolean} - Whether a key was removed.
+	 */
+	remove(id) {
+		return this._keys.delete(id);
+	}
+
+	/**
+	 * Checks that the given block is signed by a key of this registry.
+	 * 
+	 * @param  {Block} block
+	 * @return {Boolean}
+	 */
+	verify(block) {
+		const publicKey = this.get(block.signer);
+		if(!publicKey) {
+			return false;
+		}
+		return verifyHash(block.hash, block.signature, publicKey);
+	}
+
+	/**
+	 * @return {Array<Object>} - The trusted keys as a list of 
+	 * 		`{ id, publicKey }` entries, with PEM-encoded public keys.
+	 */
+	toJSON() {
+		return Array.from(this._keys.entries()).map(([id, publicKey]) => ({
+			id,
+			publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+		}));
+	}
+}
+
+module.exports = SignerRegistry;
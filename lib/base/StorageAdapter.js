@@ -0,0 +1,244 @@
+/**
+ * @typedef {import('./Block')} Block
+ */
+const Block = require('./Block');
+
+/**
+ * @typedef {import('./BlockHeader')} BlockHeader
+ */
+
+/**
+ * @typedef {import('./Constants')} Constants
+ */
+const Constants = require('./Constants');
+
+/**
+ * @param  {string} method
+ * @return {Error} - The error thrown by a method of the contract which an 
+ * 		adapter does not implement.
+ */
+const notImplemented = (method) =>
+	new Error(`Method '${method}' not implemented for storage adapter!`);
+
+/**
+ * The contract of the storage backends of a {@link Chain}. A chain created 
+ * with a storage adapter keeps its blocks and its settings in the adapter 
+ * only: the base {@link Chain} reads, writes and reorganises blocks through 
+ * the adapter, and the base {@link Block} writes and reads itself through it, 
+ * see {@link Block.commit} and {@link Block.load}.
+ * 
+ * An adapter stores the blocks of one chain, both those of the canonical 
+ * chain, found by height, and those of side branches, found by hash only. It 
+ * must implement `readChain`, `writeChain`, `readBlock`, `writeBlock`, 
+ * `setCanonical`, `replaceBlocks` and `clone`; the other methods have 
+ * defaults built on them which adapters may override to read in bulk, or to 
+ * reorganise the chain in one step.
+ * 
+ * Adapters are registered under a storage mode name with 
+ * `registerStorageMode(name, adapter)`, see {@link module:storage}; the file, 
+ * log and mongo backends are the adapters of the built-in storage modes.
+ * 
+ * @class StorageAdapter
+ */
+class StorageAdapter {
+	/**
+	 * @param {Object} [options={}] - The options the chain was created with, 
+	 * 		holding the storage options of the adapter.
+	 */
+	constructor(options = {}) {
+		this._options = options;
+	}
+
+	/**
+	 * The class of the blocks read by the adapter.
+	 * 
+	 * @return {Function}
+	 */
+	static get Block() {
+		return Block;
+	}
+
+	/**
+	 * Describes where the blocks are stored, for the 'backend' details of 
+	 * chain event payloads.
+	 * 
+	 * @return {Object}
+	 */
+	describe() {
+		return {};
+	}
+
+	/**
+	 * Opens the storage, e.g. connects to a database. Called before the chain 
+	 * settings are read; adapters which need no opening keep this no-op.
+	 */
+	async open() {}
+
+	/**
+	 * Releases the resources held by the storage, see {@link Chain.close}.
+	 */
+	async close() {}
+
+	/**
+	 * Reads the settings of the chain, as written by 
+	 * {@link StorageAdapter.writeChain}.
+	 * 
+	 * @return {Object|null} - `{ codec, difficulty, hashingAlgorithm, height, 
+	 * 		name, retarget, signers }`, or null if none was written.
+	 */
+	async readChain() {
+		throw notImplemented('readChain');
+	}
+
+	/**
+	 * Writes the settings of the chain.
+	 * 
+	 * @param {Object} record - `{ codec, difficulty, hashingAlgorithm, height, 
+	 * 		name, retarget, signers }`.
+	 * @return {*}
+	 */
+	async writeChain(record) {
+		throw notImplemented('writeChain');
+	}
+
+	/**
+	 * Reads the block matching the given query. A hash matches blocks of side 
+	 * branches as well, while a height or a parent hash only matches blocks 
+	 * of the canonical chain.
+	 * 
+	 * @param  {Object} query - `{ hash, index, previous }`, as for 
+	 * 		{@link Chain.get}.
+	 * @return {Block} - A sealed block of the class of the adapter.
+	 * @throws {Error} - If no block matches the query.
+	 */
+	async readBlock(query) {
+		throw notImplemented('readBlock');
+	}
+
+	/**
+	 * Reads the header of the block matching the given query, see 
+	 * {@link StorageAdapter.readBlock}.
+	 * 
+	 * @param  {Object} query - `{ hash, index, previous }`.
+	 * @return {BlockHeader}
+	 */
+	async readHeader(query) {
+		const block = await this.readBlock(query);
+		return block.header;
+	}
+
+	/**
+	 * Yields the blocks of the canonical chain from one height to another, 
+	 * both included, in either direction.
+	 * 
+	 * @param {number} from - The height of the first block.
+	 * @param {number} to - The height of the last block.
+	 * @param {Boolean} headersOnly - Whether to yield block headers only.
+	 */
+	async *readBlocks(from, to, headersOnly) {
+		const step = from <= to ? 1 : -1;
+		for(let height=from; height!==to+step; height+=step) {
+			yield headersOnly ?
+				await this.readHeader({ index: height }) :
+				await this.readBlock({ index: height });
+		}
+	}
+
+	/**
+	 * Reads a page of the blocks of the canonical chain, see 
+	 * {@link Chain.range}.
+	 * 
+	 * @param  {Object} options - `{ from, to, order, limit, headersOnly }`.
+	 * @return {Array<Block|BlockHeader>}
+	 */
+	async readRange({ from, to, order, limit, headersOnly }) {
+		const count = Math.min(limit, to-from+1);
+		const [first, last] = order === Constants.RANGE_ORDERS.DESC ?
+			[to, to-count+1] : [from, from+count-1];
+		const blocks = [];
+		for await (const block of this.readBlocks(first, last, headersOnly)) {
+			blocks.push(block);
+		}
+		return blocks;
+	}
+
+	/**
+	 * Writes the given block, on top of the canonical chain or on a side 
+	 * branch, and seals it.
+	 * 
+	 * @param  {Block} block
+	 * @param  {Object} options
+	 * @param  {Boolean} options.canonical - Whether the block is written on 
+	 * 		top of the canonical chain, rather than on a side branch.
+	 * @param  {string} options.codec - The codec of the chain, see 
+	 * 		{@link Constants.CHAIN_CODECS}.
+	 * @param  {number} options.height - The height of the block.
+	 * @return {*}
+	 */
+	async writeBlock(block, { canonical, codec, height }) {
+		throw notImplemented('writeBlock');
+	}
+
+	/**
+	 * Moves the given stored blocks onto the canonical chain or off of it, to 
+	 * side branches, all or nothing, see {@link Chain.reorg}.
+	 * 
+	 * @param {Array<Block>} blocks - The blocks, in the order they are moved: 
+	 * 		from the tip down when disconnected, from the fork point up when 
+	 * 		connected.
+	 * @param {Boolean} canonical - Whether the blocks become canonical.
+	 */
+	async setCanonical(blocks, canonical) {
+		throw notImplemented('setCanonical');
+	}
+
+	/**
+	 * Moves the given blocks off of the canonical chain, then the given 
+	 * blocks onto it, all or nothing, see {@link Chain.reorg}. By default, 
+	 * the disconnected blocks are made canonical again if the connected 
+	 * blocks cannot be.
+	 * 
+	 * @param {Array<Block>} disconnect - The blocks to move to side branches, 
+	 * 		from the tip down.
+	 * @param {Array<Block>} connect - The blocks to make canonical, from the 
+	 * 		fork point up.
+	 */
+	async reorganise(disconnect, connect) {
+		await this.setCanonical(disconnect, false);
+		try {
+			await this.setCanonical(connect, true);
+		} catch(err) {
+			await this.setCanonical(disconnect.slice().reverse(), true);
+			throw err;
+		}
+	}
+
+	/**
+	 * Deletes the given blocks from the top of the canonical chain, then 
+	 * writes the given blocks on top of it, all or nothing, see 
+	 * {@link ChainBatch}.
+	 * 
+	 * @param {Array<Block>} remove - The blocks to delete, from the tip down.
+	 * @param {Array<Block>} append - The blocks to append, in order.
+	 * @param {Object} options
+	 * @param {string} options.codec - The codec of the chain.
+	 * @param {number} options.height - The height of the first appended 
+	 * 		block.
+	 */
+	async replaceBlocks(remove, append, { codec, height }) {
+		throw notImplemented('replaceBlocks');
+	}
+
+	/**
+	 * Creates an adapter for a copy of the chain, see {@link Chain.clone}.
+	 * 
+	 * @param  {Object} options - `{ name }` and the storage options of the 
+	 * 		copy.
+	 * @return {StorageAdapter}
+	 */
+	clone(options) {
+		throw notImplemented('clone');
+	}
+}
+
+module.exports = StorageAdapter;
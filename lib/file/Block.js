@@ -6,11 +6,90 @@ const path = require('path');
  */
 const BaseBlock = require('../base/Block');
 
+/**
+ * @typedef {import('../base/BlockHeader')} BlockHeader
+ */
+const BlockHeader = require('../base/BlockHeader');
+
 /**
  * @typedef {import('../base/Constants')} Constants
  */
 const Constants = require('../base/Constants');
 
+const { decodeAny, getCodec } = require('../misc/codecs');
+
+/**
+ * The extension of the file holding the body of a block, appended to the 
+ * name of the block header file.
+ * @const {string}
+ */
+const BODY_EXTENSION = '.body';
+
+const writeFile = (filePath, data) => {
+	return new Promise((resolve, reject) => {
+		fs.writeFile(filePath, data, (err) => {
+			if(err) {
+				return reject(err);
+			}
+			return resolve(filePath);
+		});
+	});
+};
+
+const rename = (from, to) => {
+	return new Promise((resolve, reject) => {
+		fs.rename(from, to, (err) => {
+			if(err) {
+				return reject(err);
+			}
+			return resolve(to);
+		});
+	});
+};
+
+/**
+ * Reads and decodes a block file, whichever codec it was written with.
+ * 
+ * @param  {string} filePath
+ * @return {*}
+ */
+const readEncoded = (filePath) => {
+	return new Promise((resolve, reject) => {
+		fs.readFile(filePath, (err, data) => {
+			if(err) {
+				return reject(err);
+			}
+			try {
+				return resolve(decodeAny(data));
+			} catch(e) {
+				return reject(new Error(`Block corrupt or not decodable!`));
+			}
+		});
+	});
+};
+
+/**
+ * Reads a block header file. Blocks written before block heights were 
+ * recorded take their height from the index in their file name.
+ * 
+ * @param  {string} filePath
+ * @return {Object}
+ */
+const readHeaderFile = async (filePath) => {
+	if(!filePath || typeof filePath !== "string" || filePath.length < 1) {
+		throw new Error("No path given!");
+	}
+
+	const header = await readEncoded(filePath);
+	if(typeof header.height === 'undefined') {
+		const index = parseInt(path.basename(filePath).split('.')[0]);
+		if(!isNaN(index)) {
+			header.height = index;
+		}
+	}
+	return header;
+};
+
 /**
  * A class for file-based block. This class extends the base {@link Block} 
  * class.
@@ -23,54 +102,97 @@ class Block extends BaseBlock {
 	}
 
 	/**
-	 * Writes the file-based block to the given directory. This method 
-	 * overrides the extended class {@link Block}'s 'commit' method.
+	 * Writes the file-based block to the given directory. The block header is 
+	 * written to the file `<index>.<hash>` and the block body to the file 
+	 * `<index>.<hash>.body`, so that headers can be read on their own. The 
+	 * block is sealed once written. Given a storage adapter, the block is 
+	 * written through it instead, see {@link StorageAdapter.writeBlock}. This 
+	 * method overrides the extended class {@link Block}'s 'commit' method.
 	 * 
+	 * @param {StorageAdapter} [storage] - The adapter to write the block to.
 	 * @param {string} [directory="./"] - The directory to which the 
 	 * 		block will be written.
+	 * @param {number} [index=this.height] - The height of the block.
+	 * @param {string} [codec=Constants.DEFAULT_CODEC] - The codec with which 
+	 * 		the block files are encoded.
 	 */
-	async commit({ directory='./', index }) {
+	async commit({ 
+		storage,
+		directory='./',
+		index=this.height,
+		codec=Constants.DEFAULT_CODEC,
+		...options
+	}) {
+		if(storage) {
+			return super.commit({ storage, codec, ...options });
+		}
 		if(typeof index === 'undefined') {
 			return Promise.reject(new Error(`Invalid index!`));
 		}
 
-		const data = await this.stringify();
+		const { encode } = getCodec(codec);
 		const hash = await this.hash;
 		const filePath = 
 			path.normalize(path.join(directory, `${index}.${hash}`));
-		return new Promise((resolve, reject) => {
-				fs.writeFile(filePath, data, 'utf8', function(err) {
-						if(err) {
-							return reject(err);
-						} else {
-							return resolve(filePath);
-						}
-					});
-			});
+
+		await writeFile(`${filePath}${BODY_EXTENSION}`, encode(this.body));
+		await writeFile(filePath, encode(this.header.toJSON()));
+		this.seal();
+		return filePath;
 	}
 
 	/**
-	 * Reads the file-based block from the given path. This method 
-	 * overrides the extended class {@link Block}'s 'load' method.
+	 * Reads the file-based block from the given path, whichever codec it was 
+	 * written with. Blocks written before the header/body split hold their data 
+	 * in the header file. Given a storage adapter and a query instead of a 
+	 * path, the block is read through the adapter. This method overrides the 
+	 * extended class {@link Block}'s 'load' method.
 	 * 
-	 * @param {string} path - The path from which the block will be read.
+	 * @param {string|StorageAdapter} path - The path from which the block 
+	 * 		will be read.
+	 * @param {Object} [query] - `{ hash, index, previous }`, if a storage 
+	 * 		adapter is given.
 	 */
-	static load(path) {
-		if(!path || typeof path !== "string" || path.length < 1) {
-			return Promise.reject(new Error("No path given!"));
+	static async load(path, query) {
+		if(path && typeof path === 'object') {
+			return super.load(path, query);
+		}
+		const header = await readHeaderFile(path);
+		let { data } = header;
+		if(typeof data === 'undefined') {
+			({ data } = await readEncoded(`${path}${BODY_EXTENSION}`));
 		}
-		return new Promise((success, failure) => {
-			fs.readFile(path, 'utf8', (err, data) => {
-				if(err) {
-					return failure(err);
-				} else {
-					const block = new Block();
-					block.parse(data);
-					return success(block);
-				}
-			})
-		})
+		return new Block({ ...header, data }).seal();
+	}
 
+	/**
+	 * Moves the files of the block at the given path to the given directory, 
+	 * keeping their names. Blocks written before the header/body split have 
+	 * no body file to move.
+	 * 
+	 * @param {string} filePath - The path of the block header file.
+	 * @param {string} directory - The directory to move the block to.
+	 * @return {string} - The new path of the block header file.
+	 */
+	static async move(filePath, directory) {
+		const to = path.join(directory, path.basename(filePath));
+		if(fs.existsSync(`${filePath}${BODY_EXTENSION}`)) {
+			await rename(`${filePath}${BODY_EXTENSION}`, 
+				`${to}${BODY_EXTENSION}`);
+		}
+		return rename(filePath, to);
+	}
+
+	/**
+	 * Reads the header of the file-based block from the given path, without 
+	 * reading the block body.
+	 * 
+	 * @param {string} path - The path from which the header will be read.
+	 * @return {BlockHeader}
+	 */
+	static async loadHeader(path) {
+		const { data, ...header } = await readHeaderFile(path);
+		return new BlockHeader(header);
 	}
 }
 
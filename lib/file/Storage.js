@@ -0,0 +1,416 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @typedef {import('./Block')} Block
+ */
+const Block = require('./Block');
+
+/**
+ * @typedef {import('../base/Constants')} Constants
+ */
+const Constants = require('../base/Constants');
+
+/**
+ * @typedef {import('../base/StorageAdapter')} StorageAdapter
+ */
+const StorageAdapter = require('../base/StorageAdapter');
+
+/**
+ * The name of the directory, within the blocks directory, holding the blocks 
+ * of side branches.
+ * @const {string}
+ */
+const FORKS_DIRECTORY = 'forks';
+
+/**
+ * The name of the file, within the chain directory, holding the settings of 
+ * the chain.
+ * @const {string}
+ */
+const CHAIN_FILE = '.chain';
+
+/**
+ * The storage adapter of file-based chains. Every block is written to a 
+ * header file `<height>.<hash>` and a body file `<height>.<hash>.body`, see 
+ * {@link Block.commit}: the blocks of the canonical chain in the blocks 
+ * directory, the blocks of side branches in its 'forks' directory. The 
+ * settings of the chain are written to the '.chain' file of the chain 
+ * directory. This class extends the {@link StorageAdapter} class.
+ * 
+ * @class Storage
+ */
+class Storage extends StorageAdapter {
+	/**
+	 * @param {Object} [options={}]
+	 * @param {string} [options.directory='./'] - The directory of the chain.
+	 */
+	constructor(options = {}) {
+		super(options);
+
+		const { directory='./' } = options;
+
+		this._directory = directory;
+		this._blocksDirectory = directory;
+	}
+
+	/**
+	 * The class of the blocks read by the adapter, the file-based 
+	 * {@link Block}.
+	 * 
+	 * @return {Function}
+	 */
+	static get Block() {
+		return Block;
+	}
+
+	get blocksDirectory() {
+		return this._blocksDirectory;
+	}
+
+	get directory() {
+		return this._directory;
+	}
+
+	/**
+	 * The directory holding the blocks of side branches, named as the blocks 
+	 * of the canonical chain are.
+	 */
+	get forksDirectory() {
+		return path.join(this._blocksDirectory, FORKS_DIRECTORY);
+	}
+
+	/**
+	 * This method overrides the extended class {@link StorageAdapter}'s 
+	 * 'describe' method.
+	 * 
+	 * @return {Object} - `{ directory, blocksDirectory }`.
+	 */
+	describe() {
+		return {
+			directory: this._directory,
+			blocksDirectory: this._blocksDirectory,
+		};
+	}
+
+	async findBlockName({ hash, index }, directory = this._directory) {
+		return new Promise((resolve, reject) => {
+			const hasIndex = typeof index !== 'undefined';
+			if(!hash || !hasIndex) {
+				let indexRegexPart = index;
+				let hashRegexPart = hash;
+				if(!hasIndex) {
+					indexRegexPart = '[0-9]+';
+				}
+				if(!hashRegexPart) {
+					hashRegexPart = '[A-F0-9]+';
+				}
+				const blockRegex = 
+					new RegExp(`^${indexRegexPart}\\.${hashRegexPart}$`, 'i');
+				fs.readdir(directory, (err, files) => {
+					if(err) {
+						return reject(err);
+					}
+					files = files.filter((f) => blockRegex.test(f));
+					if (!files || files.length < 1) {
+						return reject(new Error(
+							`Could not find block file matching ` + 
+							`${blockRegex.toString()}`))
+					}
+					return resolve(files[0]);
+				});
+			} else {
+				return resolve(`${index}.${hash}`);
+			}
+		});
+	}
+
+	/**
+	 * Resolves the given query to the path of the matching block header file.
+	 * 
+	 * @param  {Object} query - `{ hash, index, previous }`.
+	 * @return {string}
+	 */
+	async _findBlockPath({ hash, index, previous }) {
+		if (previous) {
+			if(previous === Constants.GENESIS_HASH) {
+				return this._findBlockPath({ index: 0 });
+			}
+
+			const blockName = await this.findBlockName({ hash: previous });
+			const previousIndex = parseInt(blockName.split('.')[0]);
+			return this._findBlockPath({ index: previousIndex+1 });
+		}
+
+		try {
+			const blockName = await this.findBlockName({ hash, index });
+			return path.join(this._directory, blockName);
+		} catch(err) {
+			if(!hash || !fs.existsSync(this.forksDirectory)) {
+				throw err;
+			}
+			const blockName = await this.findBlockName({ hash },
+				this.forksDirectory).catch(() => Promise.reject(err));
+			return path.join(this.forksDirectory, blockName);
+		}
+	}
+
+	/**
+	 * Lists the block header files of the canonical chain, sorted by height.
+	 * 
+	 * @return {Array<Object>} - `[{ height, name }]`.
+	 */
+	async _blockIndex() {
+		const files = await fs.promises.readdir(this._directory);
+		return files
+			.map(name => {
+				const match = /^([0-9]+)\.[A-F0-9]+$/i.exec(name);
+				return match && { height: parseInt(match[1]), name };
+			})
+			.filter(Boolean)
+			.sort((a, b) => a.height - b.height);
+	}
+
+	/**
+	 * This method overrides the extended class {@link StorageAdapter}'s 
+	 * 'readChain' method.
+	 * 
+	 * @return {Object|null} - The settings read from the '.chain' file, or 
+	 * 		null if the file does not exist.
+	 */
+	async readChain() {
+		let data;
+		try {
+			data = await fs.promises.readFile(
+				path.join(this._directory, CHAIN_FILE));
+		} catch(err) {
+			if(err.code === 'ENOENT') {
+				return null;
+			}
+			throw err;
+		}
+
+		const record = data.length ? JSON.parse(data) : {};
+		const { blocksDirectory=this._directory } = record;
+		this._blocksDirectory = blocksDirectory;
+		return record;
+	}
+
+	/**
+	 * Writes the given settings, and the blocks directory, to the '.chain' 
+	 * file. This method overrides the extended class {@link StorageAdapter}'s 
+	 * 'writeChain' method.
+	 * 
+	 * @param  {Object} record
+	 * @return {string} - The path of the '.chain' file.
+	 */
+	async writeChain(record) {
+		await fs.promises.mkdir(this._directory, { recursive: true });
+		const filepath = path.join(this._directory, CHAIN_FILE);
+		await fs.promises.writeFile(filepath, JSON.stringify({
+			blocksDirectory: this._blocksDirectory,
+			...record,
+		}));
+		return filepath;
+	}
+
+	/**
+	 * This method overrides the extended class {@link StorageAdapter}'s 
+	 * 'readBlock' method.
+	 * 
+	 * @param  {Object} query - `{ hash, index, previous }`.
+	 * @return {Block}
+	 */
+	async readBlock(query) {
+		return Block.load(await this._findBlockPath(query));
+	}
+
+	/**
+	 * Reads the header file of the block matching the given query, without 
+	 * reading the body file. This method overrides the extended class 
+	 * {@link StorageAdapter}'s 'readHeader' method.
+	 * 
+	 * @param  {Object} query - `{ hash, index, previous }`.
+	 * @return {BlockHeader}
+	 */
+	async readHeader(query) {
+		return Block.loadHeader(await this._findBlockPath(query));
+	}
+
+	/**
+	 * Yields the blocks of a range through the index of the block file names, 
+	 * listing the blocks directory once rather than once per block. This 
+	 * method overrides the extended class {@link StorageAdapter}'s 
+	 * 'readBlocks' method.
+	 * 
+	 * @param {number} from - The height of the first block.
+	 * @param {number} to - The height of the last block.
+	 * @param {Boolean} headersOnly - Whether to yield block headers only.
+	 */
+	async *readBlocks(from, to, headersOnly) {
+		const names = new Map();
+		for(const { height, name } of await this._blockIndex()) {
+			names.set(height, names.has(height) ? null : name);
+		}
+
+		const step = from <= to ? 1 : -1;
+		for(let height=from; height!==to+step; height+=step) {
+			if(!names.get(height)) {
+				throw new Error(`Could not find a single block file at ` + 
+					`height ${height}!`);
+			}
+			const blockPath = path.join(this._directory, names.get(height));
+			yield headersOnly ? 
+				await Block.loadHeader(blockPath) : 
+				await Block.load(blockPath);
+		}
+	}
+
+	/**
+	 * Reads a range of blocks through the sorted index of the block file 
+	 * names, listing the blocks directory once. This method overrides the 
+	 * extended class {@link StorageAdapter}'s 'readRange' method.
+	 * 
+	 * @param  {Object} options - `{ from, to, order, limit, headersOnly }`.
+	 * @return {Array<Block|BlockHeader>}
+	 */
+	async readRange({ from, to, order, limit, headersOnly }) {
+		let entries = (await this._blockIndex())
+			.filter(({ height }) => height >= from && height <= to);
+		if(order === Constants.RANGE_ORDERS.DESC) {
+			entries.reverse();
+		}
+		entries = entries.slice(0, limit);
+
+		const blocks = [];
+		for(let i=0; i<entries.length; i++) {
+			const height = order === Constants.RANGE_ORDERS.ASC ? 
+				from+i : to-i;
+			if(entries[i].height !== height) {
+				throw new Error(`Could not find a single block file at ` + 
+					`height ${height}!`);
+			}
+			const blockPath = path.join(this._directory, entries[i].name);
+			blocks.push(headersOnly ? 
+				await Block.loadHeader(blockPath) : 
+				await Block.load(blockPath));
+		}
+		if(blocks.length < Math.min(limit, to-from+1)) {
+			throw new Error(`Could not find the block files of heights ` + 
+				`${from} to ${to}!`);
+		}
+		return blocks;
+	}
+
+	/**
+	 * Writes the given block to the blocks directory, or to the forks 
+	 * directory for a block of a side branch. This method overrides the 
+	 * extended class {@link StorageAdapter}'s 'writeBlock' method.
+	 * 
+	 * @param  {Block} block
+	 * @param  {Object} options - `{ canonical, codec, height }`.
+	 * @return {string} - The path of the block header file.
+	 */
+	async writeBlock(block, { canonical, codec, height }) {
+		let directory = this._blocksDirectory;
+		if(!canonical) {
+			directory = this.forksDirectory;
+			await fs.promises.mkdir(directory, { recursive: true });
+		}
+		return block.commit({ codec, directory, index: height });
+	}
+
+	/**
+	 * Moves the files of the given blocks to the blocks directory, or to the 
+	 * forks directory; if a move fails, the moves done so far are undone. 
+	 * This method overrides the extended class {@link StorageAdapter}'s 
+	 * 'setCanonical' method.
+	 * 
+	 * @param {Array<Block>} blocks
+	 * @param {Boolean} canonical
+	 */
+	async setCanonical(blocks, canonical) {
+		await fs.promises.mkdir(this.forksDirectory, { recursive: true });
+		const [from, to] = canonical ? 
+			[this.forksDirectory, this._blocksDirectory] : 
+			[this._blocksDirectory, this.forksDirectory];
+		const moved = [];
+		try {
+			for(const block of blocks) {
+				const name = `${block.height}.${block.hash}`;
+				await Block.move(path.join(from, name), to);
+				moved.push(name);
+			}
+		} catch(err) {
+			for(const name of moved.reverse()) {
+				await Block.move(path.join(to, name), from);
+			}
+			throw err;
+		}
+	}
+
+	/**
+	 * Applies a batch all or nothing. The appended blocks are first written 
+	 * to a staging directory, then the files of the deleted blocks and of the 
+	 * appended blocks are moved into place; if any step fails, the moves done 
+	 * so far are undone. This method overrides the extended class 
+	 * {@link StorageAdapter}'s 'replaceBlocks' method.
+	 * 
+	 * @param {Array<Block>} remove - The blocks to delete, from the tip down.
+	 * @param {Array<Block>} append - The blocks to append, in order.
+	 * @param {Object} options - `{ codec, height }`.
+	 */
+	async replaceBlocks(remove, append, { codec, height }) {
+		await fs.promises.mkdir(this._blocksDirectory, { recursive: true });
+		const staging = await fs.promises.mkdtemp(
+			path.join(this._blocksDirectory, '.batch-'));
+		const removed = path.join(staging, 'removed');
+		const moves = [];
+		const move = async (name, from, to) => {
+			await Block.move(path.join(from, name), to);
+			moves.push({ name, from, to });
+		};
+
+		try {
+			await fs.promises.mkdir(removed);
+			for(let i=0; i<append.length; i++) {
+				await append[i].commit({
+						codec,
+						directory: staging,
+						index: height+i,
+					});
+			}
+			for(const block of remove) {
+				await move(`${block.height}.${block.hash}`,
+					this._blocksDirectory, removed);
+			}
+			for(let i=0; i<append.length; i++) {
+				await move(`${height+i}.${append[i].hash}`, staging,
+					this._blocksDirectory);
+			}
+		} catch(err) {
+			for(const { name, from, to } of moves.reverse()) {
+				await Block.move(path.join(to, name), from);
+			}
+			await fs.promises.rm(staging, { recursive: true, force: true });
+			throw err;
+		}
+
+		await fs.promises.rm(staging, { recursive: true, force: true });
+	}
+
+	/**
+	 * This method overrides the extended class {@link StorageAdapter}'s 
+	 * 'clone' method.
+	 * 
+	 * @param  {Object} [options={}]
+	 * @param  {string} [options.directory] - The directory of the copy, the 
+	 * 		directory of this chain suffixed with '-CLONE' by default.
+	 * @return {Storage}
+	 */
+	clone({ directory=`${this._directory}-CLONE` } = {}) {
+		return new Storage({ directory });
+	}
+}
+
+module.exports = Storage;
@@ -0,0 +1,49 @@
+/**
+ * @typedef {import('../base/Chain')} BaseChain
+ */
+const BaseChain = require('../base/Chain');
+
+/**
+ * @typedef {import('../base/Constants')} Constants
+ */
+const Constants = require('../base/Constants');
+
+/**
+ * @typedef {import('./Storage')} Storage
+ */
+const Storage = require('./Storage');
+
+/**
+ * A class for log-based blockchain, whose blocks are appended to the segment 
+ * files of the log-based {@link Storage} adapter. Its blocks are base 
+ * {@link Block} instances. This class extends the base {@link Chain} class.
+ * 
+ * @class Chain
+ */
+class Chain extends BaseChain {
+	/**
+	 * @param {Object} [options={}] - The options of the base {@link Chain}, 
+	 * 		the `directory` of the chain, './' by default, and the 
+	 * 		`segmentSize` of its log, see 
+	 * 		{@link Constants.DEFAULT_SEGMENT_SIZE}.
+	 */
+	constructor(options = {}) {
+		super(options);
+	}
+
+	/**
+	 * The storage adapter class of log-based chains. This getter overrides 
+	 * the extended class {@link Chain}'s 'Storage' getter.
+	 * 
+	 * @return {Function}
+	 */
+	static get Storage() {
+		return Storage;
+	}
+
+	static get storageMode() {
+		return Constants.CHAIN_STORAGE_MODES.LOG;
+	}
+}
+
+module.exports = Chain;
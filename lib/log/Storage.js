@@ -0,0 +1,1034 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @typedef {import('../base/Block')} Block
+ */
+const Block = require('../base/Block');
+
+/**
+ * @typedef {import('../base/BlockHeader')} BlockHeader
+ */
+const BlockHeader = require('../base/BlockHeader');
+
+/**
+ * @typedef {import('../base/Constants')} Constants
+ */
+const Constants = require('../base/Constants');
+
+/**
+ * @typedef {import('../base/StorageAdapter')} StorageAdapter
+ */
+const StorageAdapter = require('../base/StorageAdapter');
+
+const { decodeAny, getCodec } = require('../misc/codecs');
+
+/**
+ * The name of the file, within the chain directory, holding the settings of 
+ * the chain.
+ * @const {string}
+ */
+const CHAIN_FILE = '.chain';
+
+/**
+ * The name of the file, within the chain directory, holding the index 
+ * changes of the write in progress until both indexes are rewritten.
+ * @const {string}
+ */
+const COMMIT_FILE = '.commit';
+
+/**
+ * The name of the file, within the chain directory, indexing the location of 
+ * every stored block by hash.
+ * @const {string}
+ */
+const HASH_INDEX_FILE = 'hashes.idx';
+
+/**
+ * The name of the file, within the chain directory, indexing the location of 
+ * the blocks of the canonical chain by height.
+ * @const {string}
+ */
+const HEIGHT_INDEX_FILE = 'heights.idx';
+
+/**
+ * The extension of the segment files, named after their zero-padded number.
+ * @const {string}
+ */
+const SEGMENT_EXTENSION = '.log';
+
+/**
+ * The size in bytes of the frame preceding every block record: the length 
+ * of the encoded header, the length of the encoded body, the checksum of 
+ * both and the record flags.
+ * @const {number}
+ */
+const FRAME_SIZE = 13;
+
+/**
+ * The record flag of blocks written on top of the canonical chain, which 
+ * become canonical again if their record is recovered from a segment tail 
+ * and links to the last canonical block.
+ * @const {number}
+ */
+const FLAG_CANONICAL = 1;
+
+/**
+ * The size in bytes of a location, a segment number and an offset within 
+ * the segment, and so of every entry of the height index.
+ * @const {number}
+ */
+const LOCATION_SIZE = 8;
+
+/**
+ * The largest segment number or offset of a location; as a segment number, 
+ * it marks a deleted block in the hash index.
+ * @const {number}
+ */
+const MAX_LOCATION = 0xFFFFFFFF;
+
+/**
+ * The size in bytes of the fields preceding the index changes in the commit 
+ * file: the checksum of the file, the size of the hash index before the 
+ * changes, the height from which the height index is rewritten and the 
+ * length of the hash index entries.
+ * @const {number}
+ */
+const COMMIT_FRAME_SIZE = 18;
+
+/**
+ * @param  {Buffer} header
+ * @param  {Buffer} body
+ * @return {number} - The checksum of a block record.
+ */
+const checksum = (header, body) => crypto.createHash('sha256')
+	.update(header)
+	.update(body)
+	.digest()
+	.readUInt32BE(0);
+
+/**
+ * Encodes the given block into a record: a frame followed by the encoded 
+ * header and the encoded body. Blocks which do not record their height are 
+ * stored with the given one.
+ * 
+ * @param  {Block} block
+ * @param  {Object} options - `{ canonical, codec, height }`.
+ * @return {Buffer}
+ */
+const encodeRecord = (block, { canonical, codec, height }) => {
+	const { encode } = getCodec(codec);
+	const json = block.header.toJSON();
+	if(typeof json.height === 'undefined') {
+		json.height = height;
+	}
+	const header = encode(json);
+	const body = encode(block.body);
+
+	const frame = Buffer.alloc(FRAME_SIZE);
+	frame.writeUInt32BE(header.length, 0);
+	frame.writeUInt32BE(body.length, 4);
+	frame.writeUInt32BE(checksum(header, body), 8);
+	frame.writeUInt8(canonical ? FLAG_CANONICAL : 0, 12);
+	return Buffer.concat([frame, header, body]);
+};
+
+/**
+ * Decodes the record at the given position of the given buffer.
+ * 
+ * @param  {Buffer} buffer
+ * @param  {number} position
+ * @return {Object|null} - `{ canonical, header, length }`, or null if the 
+ * 		record is torn or corrupt.
+ */
+const decodeRecord = (buffer, position) => {
+	if(buffer.length - position < FRAME_SIZE) {
+		return null;
+	}
+	const headerLength = buffer.readUInt32BE(position);
+	const bodyLength = buffer.readUInt32BE(position+4);
+	const length = FRAME_SIZE + headerLength + bodyLength;
+	if(buffer.length - position < length) {
+		return null;
+	}
+
+	const start = position + FRAME_SIZE;
+	const header = buffer.subarray(start, start+headerLength);
+	const body = buffer.subarray(start+headerLength, position+length);
+	if(checksum(header, body) !== buffer.readUInt32BE(position+8)) {
+		return null;
+	}
+	try {
+		return {
+			canonical: (buffer[position+12] & FLAG_CANONICAL) !== 0,
+			header: decodeAny(header),
+			length,
+		};
+	} catch(e) {
+		return null;
+	}
+};
+
+/**
+ * @param  {Object|null} location - `{ segment, offset }`, or null for a 
+ * 		deleted block.
+ * @return {Buffer}
+ */
+const encodeLocation = (location) => {
+	const buffer = Buffer.alloc(LOCATION_SIZE);
+	buffer.writeUInt32BE(location ? location.segment : MAX_LOCATION, 0);
+	buffer.writeUInt32BE(location ? location.offset : 0, 4);
+	return buffer;
+};
+
+/**
+ * @param  {Buffer} buffer
+ * @param  {number} position
+ * @return {Object|null} - `{ segment, offset }`, or null for a deleted block.
+ */
+const decodeLocation = (buffer, position) => {
+	const segment = buffer.readUInt32BE(position);
+	if(segment === MAX_LOCATION) {
+		return null;
+	}
+	return { segment, offset: buffer.readUInt32BE(position+4) };
+};
+
+/**
+ * @param  {Array<Array>} entries - `[hash, location]` pairs, the location 
+ * 		being null for a deleted block.
+ * @return {Buffer} - The entries as appended to the hash index.
+ */
+const encodeEntries = (entries) => Buffer.concat(entries
+	.map(([hash, location]) => {
+		const name = Buffer.from(hash, 'utf8');
+		return Buffer.concat([Buffer.from([name.length]), name,
+			encodeLocation(location)]);
+	}));
+
+/**
+ * Encodes the given index changes into the content of the commit file.
+ * 
+ * @param  {Object} commit - `{ entries, height, locations, size }`, the 
+ * 		encoded hash index entries, the height from which the height index 
+ * 		is rewritten, the encoded locations and the size of the hash index 
+ * 		before the changes.
+ * @return {Buffer}
+ */
+const encodeCommit = ({ entries, height, locations, size }) => {
+	const frame = Buffer.alloc(COMMIT_FRAME_SIZE);
+	frame.writeUIntBE(size, 4, 6);
+	frame.writeUInt32BE(height, 10);
+	frame.writeUInt32BE(entries.length, 14);
+	const changes = Buffer.concat([entries, locations]);
+	frame.writeUInt32BE(checksum(frame.subarray(4), changes), 0);
+	return Buffer.concat([frame, changes]);
+};
+
+/**
+ * @param  {Buffer} buffer - The content of the commit file.
+ * @return {Object|null} - `{ entries, height, locations, size }`, or null if 
+ * 		the commit file is torn or corrupt.
+ */
+const decodeCommit = (buffer) => {
+	if(buffer.length < COMMIT_FRAME_SIZE) {
+		return null;
+	}
+	const changes = buffer.subarray(COMMIT_FRAME_SIZE);
+	const length = buffer.readUInt32BE(14);
+	if(length > changes.length || 
+			(changes.length - length) % LOCATION_SIZE !== 0 || 
+			checksum(buffer.subarray(4, COMMIT_FRAME_SIZE), changes) !== 
+				buffer.readUInt32BE(0)) {
+		return null;
+	}
+	return {
+		entries: changes.subarray(0, length),
+		height: buffer.readUInt32BE(10),
+		locations: changes.subarray(length),
+		size: buffer.readUIntBE(4, 6),
+	};
+};
+
+/**
+ * @param  {Object} a - `{ segment, offset }`.
+ * @param  {Object} b - `{ segment, offset }`.
+ * @return {number} - Negative if `a` is written before `b`.
+ */
+const compareLocations = (a, b) =>
+	a.segment !== b.segment ? a.segment - b.segment : a.offset - b.offset;
+
+/**
+ * @param  {string} filePath
+ * @return {number} - The size of the file, 0 if it does not exist.
+ */
+const fileSize = async (filePath) => {
+	try {
+		return (await fs.promises.stat(filePath)).size;
+	} catch(err) {
+		if(err.code === 'ENOENT') {
+			return 0;
+		}
+		throw err;
+	}
+};
+
+/**
+ * Reads up to the given number of bytes from the given position of a file.
+ * 
+ * @param  {string} filePath
+ * @param  {number} position
+ * @param  {number} length
+ * @return {Buffer} - The bytes read, fewer than asked at the end of the file.
+ */
+const readAt = async (filePath, position, length) => {
+	const handle = await fs.promises.open(filePath, 'r');
+	try {
+		const buffer = Buffer.alloc(length);
+		const { bytesRead } = await handle.read(buffer, 0, length, position);
+		return buffer.subarray(0, bytesRead);
+	} finally {
+		await handle.close();
+	}
+};
+
+/**
+ * Truncates the given file to the given size, then appends the given bytes 
+ * and flushes the file to disk. The file is created if it does not exist.
+ * 
+ * @param {string} filePath
+ * @param {number} size
+ * @param {Buffer} [buffer]
+ */
+const rewriteTail = async (filePath, size, buffer) => {
+	const handle = await fs.promises.open(filePath, 'a');
+	try {
+		if(size < (await handle.stat()).size) {
+			await handle.truncate(size);
+		}
+		if(buffer && buffer.length > 0) {
+			await handle.appendFile(buffer);
+		}
+		await handle.sync();
+	} finally {
+		await handle.close();
+	}
+};
+
+/**
+ * Flushes the entries of the given directory to disk, on the platforms which 
+ * allow a directory to be opened.
+ * 
+ * @param {string} directory
+ */
+const syncDirectory = async (directory) => {
+	let handle;
+	try {
+		handle = await fs.promises.open(directory, 'r');
+		await handle.sync();
+	} catch(err) {
+		// Directories cannot be flushed on every platform
+	} finally {
+		if(handle) {
+			await handle.close();
+		}
+	}
+};
+
+/**
+ * The storage adapter of log-based chains, which keeps every block in a 
+ * single append-only log instead of a file per block. Block records are 
+ * appended to numbered segment files, a new segment being started once the 
+ * current one would grow past the segment size. Two index files locate the 
+ * records without listing or scanning the directory: 
+ * - 'hashes.idx', appended with the hash, segment number and offset of every 
+ *   stored block, or a tombstone once a block is deleted, and read in full 
+ *   when the storage is opened; 
+ * - 'heights.idx', holding the segment number and offset of the block at 
+ *   every height of the canonical chain in fixed-size entries, read in place.
+ * 
+ * Records are written and flushed to disk before they are indexed. Every 
+ * change of the indexes is first written to the '.commit' file, then applied 
+ * to both indexes and the file deleted, so that a write interrupted by a 
+ * crash is applied in full when the storage is opened again. The segments 
+ * are then scanned from the end of the last indexed record: intact records 
+ * are indexed, on top of the canonical chain if they were appended there and 
+ * link to its last block, and the segment is truncated at the first torn or 
+ * corrupt record. The settings of the chain are written to the '.chain' file 
+ * of the chain directory. This class extends the {@link StorageAdapter} 
+ * class.
+ * 
+ * @class Storage
+ */
+class Storage extends StorageAdapter {
+	/**
+	 * @param {Object} [options={}]
+	 * @param {string} [options.directory='./'] - The directory of the chain.
+	 * @param {number} [options.segmentSize=Constants.DEFAULT_SEGMENT_SIZE] - 
+	 * 		The size in bytes past which a new segment file is started.
+	 */
+	constructor(options = {}) {
+		super(options);
+
+		const {
+				directory = './',
+				segmentSize = Constants.DEFAULT_SEGMENT_SIZE,
+			} = options;
+
+		if(!Number.isInteger(segmentSize) || segmentSize < 1 || 
+				segmentSize > MAX_LOCATION) {
+			throw new Error(`Segment size must be a positive integer of at ` + 
+				`most ${MAX_LOCATION} bytes!`);
+		}
+
+		this._directory = directory;
+		this._hashes = new Map();
+		this._heights = 0;
+		this._opening = null;
+		this._segment = 0;
+		this._segmentLength = 0;
+		this._segmentSize = segmentSize;
+		this._writing = Promise.resolve();
+	}
+
+	get directory() {
+		return this._directory;
+	}
+
+	get segmentSize() {
+		return this._segmentSize;
+	}
+
+	/**
+	 * This method overrides the extended class {@link StorageAdapter}'s 
+	 * 'describe' method.
+	 * 
+	 * @return {Object} - `{ directory, segmentSize }`.
+	 */
+	describe() {
+		return {
+			directory: this._directory,
+			segmentSize: this._segmentSize,
+		};
+	}
+
+	_path(name) {
+		return path.join(this._directory, name);
+	}
+
+	_segmentPath(segment) {
+		return this._path(`${String(segment).padStart(8, '0')}` + 
+			`${SEGMENT_EXTENSION}`);
+	}
+
+	/**
+	 * Reads the indexes and recovers the tail of the log, once. Every other 
+	 * method opens the storage first, so that blocks can be added to a chain 
+	 * which was neither loaded nor committed. This method overrides the 
+	 * extended class {@link StorageAdapter}'s 'open' method.
+	 */
+	async open() {
+		if(!this._opening) {
+			this._opening = this._recover().catch(err => {
+				this._opening = null;
+				return Promise.reject(err);
+			});
+		}
+		return this._opening;
+	}
+
+	/**
+	 * Waits for pending writes; the storage is read again when next opened. 
+	 * This method overrides the extended class {@link StorageAdapter}'s 
+	 * 'close' method.
+	 */
+	async close() {
+		await this._writing;
+		this._opening = null;
+	}
+
+	/**
+	 * Runs the given write once the previous writes are done, so that records 
+	 * are appended one at a time.
+	 * 
+	 * @param  {Function} operation
+	 * @return {Promise}
+	 */
+	_exclusive(operation) {
+		const result = this._writing.then(operation);
+		this._writing = result.catch(() => {});
+		return result;
+	}
+
+	async _recover() {
+		await fs.promises.mkdir(this._directory, { recursive: true });
+		const segments = (await fs.promises.readdir(this._directory))
+			.filter(name => /^[0-9]{8}\.log$/.test(name))
+			.map(name => parseInt(name))
+			.sort((a, b) => a - b);
+		this._segment = segments.length > 0 ? segments[segments.length-1] : 0;
+		this._segmentLength = await fileSize(this._segmentPath(this._segment));
+
+		const commitPath = this._path(COMMIT_FILE);
+		const commit = decodeCommit(await fs.promises.readFile(commitPath)
+			.catch(err => err.code === 'ENOENT' ? 
+				Buffer.alloc(0) : Promise.reject(err)));
+		if(commit) {
+			await this._apply(commit);
+		}
+		await fs.promises.rm(commitPath, { force: true });
+
+		const last = await this._readHashIndex();
+		await this._readHeightIndex();
+
+		let start = { segment: 0, offset: 0 };
+		if(last) {
+			const frame = await readAt(this._segmentPath(last.segment),
+				last.offset, FRAME_SIZE);
+			start = {
+				segment: last.segment,
+				offset: last.offset + FRAME_SIZE + frame.readUInt32BE(0) + 
+					frame.readUInt32BE(4),
+			};
+		}
+		await this._scan(start);
+	}
+
+	/**
+	 * Reads the hash index, dropping a torn last entry.
+	 * 
+	 * @return {Object|null} - The location of the last indexed record.
+	 */
+	async _readHashIndex() {
+		const filePath = this._path(HASH_INDEX_FILE);
+		const buffer = await fs.promises.readFile(filePath)
+			.catch(err => err.code === 'ENOENT' ? 
+				Buffer.alloc(0) : Promise.reject(err));
+
+		this._hashes.clear();
+		let last = null;
+		let position = 0;
+		while(position < buffer.length) {
+			const length = buffer[position];
+			if(position + 1 + length + LOCATION_SIZE > buffer.length) {
+				break;
+			}
+			const hash = buffer.toString('utf8', position+1, position+1+length);
+			const location = decodeLocation(buffer, position+1+length);
+			if(location) {
+				this._hashes.set(hash, location);
+				if(!last || compareLocations(location, last) > 0) {
+					last = location;
+				}
+			} else {
+				this._hashes.delete(hash);
+			}
+			position += 1 + length + LOCATION_SIZE;
+		}
+		if(position < buffer.length) {
+			await fs.promises.truncate(filePath, position);
+		}
+		return last;
+	}
+
+	/**
+	 * Reads the number of entries of the height index, dropping a torn last 
+	 * entry.
+	 */
+	async _readHeightIndex() {
+		const filePath = this._path(HEIGHT_INDEX_FILE);
+		const size = await fileSize(filePath);
+		this._heights = Math.floor(size / LOCATION_SIZE);
+		if(size % LOCATION_SIZE !== 0) {
+			await fs.promises.truncate(filePath, this._heights*LOCATION_SIZE);
+		}
+	}
+
+	/**
+	 * Indexes the intact records written from the given location on, and 
+	 * truncates each scanned segment at its first torn or corrupt record. A 
+	 * record flagged as canonical is only indexed by height if it links to 
+	 * the last block of the canonical chain, as the flag does not follow the 
+	 * block through later reorganisations.
+	 * 
+	 * @param {Object} start - `{ segment, offset }`.
+	 */
+	async _scan({ segment, offset }) {
+		let tip = Constants.GENESIS_HASH;
+		if(this._heights > 0) {
+			const location = await this._heightLocation(this._heights-1);
+			tip = (await this._readRecord(location, true)).hash;
+		}
+
+		for(let s=segment; s<=this._segment; s++) {
+			const filePath = this._segmentPath(s);
+			const from = s === segment ? offset : 0;
+			const size = await fileSize(filePath);
+			if(from >= size) {
+				continue;
+			}
+
+			const buffer = await readAt(filePath, from, size - from);
+			let position = 0;
+			let record;
+			while((record = decodeRecord(buffer, position))) {
+				const location = { segment: s, offset: from + position };
+				const { hash, height, previous } = record.header;
+				if(record.canonical && height === this._heights && 
+						previous === tip) {
+					await this._commit([[hash, location]], height, [location]);
+					tip = hash;
+				} else {
+					await this._commit([[hash, location]]);
+				}
+				position += record.length;
+			}
+			if(position < buffer.length) {
+				await fs.promises.truncate(filePath, from + position);
+				if(s === this._segment) {
+					this._segmentLength = from + position;
+				}
+			}
+		}
+	}
+
+	/**
+	 * Appends the given record to the last segment, or to a new segment if 
+	 * the record would grow the last one past the segment size.
+	 * 
+	 * @param  {Buffer} record
+	 * @return {Object} - `{ segment, offset }`, the location of the record.
+	 */
+	async _append(record) {
+		if(this._segmentLength > 0 && 
+				this._segmentLength + record.length > this._segmentSize) {
+			this._segment++;
+			this._segmentLength = 0;
+		}
+		const location = { segment: this._segment, offset: this._segmentLength };
+		await rewriteTail(this._segmentPath(this._segment), this._segmentLength,
+			record);
+		this._segmentLength += record.length;
+		return location;
+	}
+
+	/**
+	 * Appends the given entries to the hash index and replaces the entries of 
+	 * the height index from the given height up, all or nothing: the changes 
+	 * are written to the '.commit' file first, which is applied again when the 
+	 * storage is opened if the write is interrupted.
+	 * 
+	 * @param {Array<Array>} entries - `[hash, location]` pairs, the location 
+	 * 		being null for a deleted block.
+	 * @param {number} [height=this._heights] - The height from which the 
+	 * 		height index is rewritten.
+	 * @param {Array<Object>} [locations=[]] - The locations of the blocks from 
+	 * 		the given height up.
+	 */
+	async _commit(entries, height = this._heights, locations = []) {
+		if(height > this._heights) {
+			throw new Error(`Cannot index block at height ${height} above ` + 
+				`height ${this._heights}!`);
+		}
+
+		const commit = {
+			entries: encodeEntries(entries),
+			height,
+			locations: Buffer.concat(locations.map(encodeLocation)),
+			size: await fileSize(this._path(HASH_INDEX_FILE)),
+		};
+		try {
+			await rewriteTail(this._path(COMMIT_FILE), 0, encodeCommit(commit));
+			await syncDirectory(this._directory);
+			await this._apply(commit);
+			await fs.promises.rm(this._path(COMMIT_FILE));
+		} catch(err) {
+			// The indexes are read again, the commit applied, when next opened
+			this._opening = null;
+			throw err;
+		}
+
+		for(const [hash, location] of entries) {
+			if(location) {
+				this._hashes.set(hash, location);
+			} else {
+				this._hashes.delete(hash);
+			}
+		}
+		this._heights = height + locations.length;
+	}
+
+	/**
+	 * Writes the given index changes to the indexes. Applying the same 
+	 * changes twice leaves the indexes as applying them once.
+	 * 
+	 * @param {Object} commit - `{ entries, height, locations, size }`.
+	 */
+	async _apply({ entries, height, locations, size }) {
+		await rewriteTail(this._path(HASH_INDEX_FILE), size, entries);
+		await rewriteTail(this._path(HEIGHT_INDEX_FILE), height*LOCATION_SIZE,
+			locations);
+	}
+
+	/**
+	 * @param  {number} height
+	 * @return {Object|null} - The location of the canonical block at the given 
+	 * 		height, if any.
+	 */
+	async _heightLocation(height) {
+		if(!Number.isInteger(height) || height < 0 || height >= this._heights) {
+			return null;
+		}
+		const buffer = await readAt(this._path(HEIGHT_INDEX_FILE),
+			height*LOCATION_SIZE, LOCATION_SIZE);
+		return decodeLocation(buffer, 0);
+	}
+
+	/**
+	 * Reads the block record at the given location.
+	 * 
+	 * @param  {Object} location - `{ segment, offset }`.
+	 * @param  {Boolean} headersOnly - Whether to read the header only.
+	 * @return {Block|BlockHeader}
+	 */
+	async _readRecord({ segment, offset }, headersOnly) {
+		const handle = await fs.promises.open(this._segmentPath(segment), 'r');
+		try {
+			const frame = Buffer.alloc(FRAME_SIZE);
+			await handle.read(frame, 0, FRAME_SIZE, offset);
+			const headerLength = frame.readUInt32BE(0);
+			const bodyLength = headersOnly ? 0 : frame.readUInt32BE(4);
+			const buffer = Buffer.alloc(headerLength + bodyLength);
+			const { bytesRead } = await handle.read(buffer, 0, buffer.length,
+				offset + FRAME_SIZE);
+
+			const header = buffer.subarray(0, headerLength);
+			const body = buffer.subarray(headerLength);
+			if(bytesRead < buffer.length || (!headersOnly && 
+					checksum(header, body) !== frame.readUInt32BE(8))) {
+				throw new Error(`Block corrupt or not decodable!`);
+			}
+
+			const { data, ...fields } = decodeAny(header);
+			if(headersOnly) {
+				return new BlockHeader(fields);
+			}
+			return new Block({ ...fields, data: decodeAny(body).data }).seal();
+		} finally {
+			await handle.close();
+		}
+	}
+
+	/**
+	 * Resolves the given query to the location of the matching block record.
+	 * 
+	 * @param  {Object} query - `{ hash, index, previous }`.
+	 * @return {Object|null}
+	 */
+	async _locate({ hash, index, previous }) {
+		if(hash) {
+			return this._hashes.get(hash) || null;
+		}
+		if(previous) {
+			if(previous === Constants.GENESIS_HASH) {
+				return this._heightLocation(0);
+			}
+			const parent = this._hashes.get(previous);
+			if(!parent) {
+				return null;
+			}
+			const { height } = await this._readRecord(parent, true);
+			const canonical = await this._heightLocation(height);
+			if(!canonical || compareLocations(canonical, parent) !== 0) {
+				return null;
+			}
+			return this._heightLocation(height+1);
+		}
+		return this._heightLocation(index);
+	}
+
+	async _read(query, headersOnly) {
+		await this.open();
+		const location = await this._locate(query);
+		const { index } = query;
+		const block = location && await this._readRecord(location, headersOnly);
+		if(!block || (typeof index !== 'undefined' && block.height !== index)) {
+			throw new Error(`Could not find block matching ` + 
+				`${JSON.stringify(query)}!`);
+		}
+		return block;
+	}
+
+	/**
+	 * This method overrides the extended class {@link StorageAdapter}'s 
+	 * 'readChain' method.
+	 * 
+	 * @return {Object|null} - The settings read from the '.chain' file, with 
+	 * 		the height of the recovered height index, or null if the file does 
+	 * 		not exist.
+	 */
+	async readChain() {
+		await this.open();
+		let data;
+		try {
+			data = await fs.promises.readFile(this._path(CHAIN_FILE));
+		} catch(err) {
+			if(err.code === 'ENOENT') {
+				return null;
+			}
+			throw err;
+		}
+
+		const record = data.length ? JSON.parse(data) : {};
+		return { ...record, height: this._heights };
+	}
+
+	/**
+	 * This method overrides the extended class {@link StorageAdapter}'s 
+	 * 'writeChain' method.
+	 * 
+	 * @param  {Object} record
+	 * @return {string} - The path of the '.chain' file.
+	 */
+	async writeChain(record) {
+		await this.open();
+		const filepath = this._path(CHAIN_FILE);
+		await fs.promises.writeFile(filepath, JSON.stringify(record));
+		return filepath;
+	}
+
+	/**
+	 * This method overrides the extended class {@link StorageAdapter}'s 
+	 * 'readBlock' method.
+	 * 
+	 * @param  {Object} query - `{ hash, index, previous }`.
+	 * @return {Block}
+	 */
+	async readBlock(query) {
+		return this._read(query, false);
+	}
+
+	/**
+	 * Reads the header of the block matching the given query, without reading 
+	 * its body. This method overrides the extended class 
+	 * {@link StorageAdapter}'s 'readHeader' method.
+	 * 
+	 * @param  {Object} query - `{ hash, index, previous }`.
+	 * @return {BlockHeader}
+	 */
+	async readHeader(query) {
+		return this._read(query, true);
+	}
+
+	/**
+	 * Yields the blocks of the canonical chain from one height to another, 
+	 * reading their locations from the height index at once. This method 
+	 * overrides the extended class {@link StorageAdapter}'s 'readBlocks' 
+	 * method.
+	 * 
+	 * @param {number} from - The height of the first block.
+	 * @param {number} to - The height of the last block.
+	 * @param {Boolean} headersOnly - Whether to yield block headers only.
+	 */
+	async *readBlocks(from, to, headersOnly) {
+		await this.open();
+		const low = Math.min(from, to);
+		const high = Math.max(from, to);
+		if(low < 0 || high >= this._heights) {
+			const index = low < 0 ? low : this._heights;
+			throw new Error(`Could not find block matching ` + 
+				`${JSON.stringify({ index })}!`);
+		}
+
+		const buffer = await readAt(this._path(HEIGHT_INDEX_FILE),
+			low*LOCATION_SIZE, (high-low+1)*LOCATION_SIZE);
+		const step = from <= to ? 1 : -1;
+		for(let height=from; height!==to+step; height+=step) {
+			const location = decodeLocation(buffer, (height-low)*LOCATION_SIZE);
+			yield await this._readRecord(location, headersOnly);
+		}
+	}
+
+	/**
+	 * Appends the given block to the log and indexes it, on top of the 
+	 * canonical chain or by hash only. This method overrides the extended 
+	 * class {@link StorageAdapter}'s 'writeBlock' method.
+	 * 
+	 * @param  {Block} block
+	 * @param  {Object} options - `{ canonical, codec, height }`.
+	 * @return {Object} - `{ segment, offset }`, the location of the record.
+	 * @throws {Error} - If a canonical block is not written at the height of 
+	 * 		the stored chain, as when the chain was not loaded first.
+	 */
+	async writeBlock(block, { canonical, codec, height }) {
+		await this.open();
+		return this._exclusive(async () => {
+			if(canonical && height !== this._heights) {
+				throw new Error(`Cannot write block at height ${height} on ` + 
+					`top of a stored chain of height ${this._heights}!`);
+			}
+			const location = await this._append(
+				encodeRecord(block, { canonical, codec, height }));
+			if(canonical) {
+				await this._commit([[block.hash, location]], height,
+					[location]);
+			} else {
+				await this._commit([[block.hash, location]]);
+			}
+			block.seal();
+			return location;
+		});
+	}
+
+	/**
+	 * Rewrites the height index, the records staying where they are in the 
+	 * log. This method overrides the extended class {@link StorageAdapter}'s 
+	 * 'setCanonical' method.
+	 * 
+	 * @param {Array<Block>} blocks
+	 * @param {Boolean} canonical
+	 */
+	async setCanonical(blocks, canonical) {
+		await this.open();
+		if(blocks.length < 1) {
+			return;
+		}
+		return this._exclusive(async () => {
+			if(!canonical) {
+				const height = Math.min(...blocks.map(b => b.height));
+				return this._commit([], height);
+			}
+
+			const locations = blocks.map(block => {
+				const location = this._hashes.get(block.hash);
+				if(!location) {
+					throw new Error(`Block "${block.hash}" is not stored!`);
+				}
+				return location;
+			});
+			return this._commit([], blocks[0].height, locations);
+		});
+	}
+
+	/**
+	 * Rewrites the height index once, from the fork point up, so that the 
+	 * disconnected and the connected blocks are moved in a single step. This 
+	 * method overrides the extended class {@link StorageAdapter}'s 
+	 * 'reorganise' method.
+	 * 
+	 * @param {Array<Block>} disconnect
+	 * @param {Array<Block>} connect
+	 */
+	async reorganise(disconnect, connect) {
+		await this.open();
+		const fork = [...disconnect, ...connect];
+		if(fork.length < 1) {
+			return;
+		}
+		return this._exclusive(async () => {
+			const height = Math.min(...fork.map(b => b.height));
+			const locations = connect.map(block => {
+				const location = this._hashes.get(block.hash);
+				if(!location) {
+					throw new Error(`Block "${block.hash}" is not stored!`);
+				}
+				return location;
+			});
+			return this._commit([], height, locations);
+		});
+	}
+
+	/**
+	 * Applies a batch all or nothing. The appended blocks are written to the 
+	 * log flagged as side branch blocks, so that a batch interrupted by a 
+	 * crash before its commit is not made canonical on recovery; the deleted 
+	 * blocks are then tombstoned and the height index rewritten in a single 
+	 * commit. If any step fails, the log and the indexes are truncated back 
+	 * to where they were. This method overrides the extended class 
+	 * {@link StorageAdapter}'s 'replaceBlocks' method.
+	 * 
+	 * @param {Array<Block>} remove - The blocks to delete, from the tip down.
+	 * @param {Array<Block>} append - The blocks to append, in order.
+	 * @param {Object} options - `{ codec, height }`.
+	 */
+	async replaceBlocks(remove, append, { codec, height }) {
+		await this.open();
+		return this._exclusive(async () => {
+			const heightsPath = this._path(HEIGHT_INDEX_FILE);
+			const mark = {
+				hashes: await fileSize(this._path(HASH_INDEX_FILE)),
+				heights: this._heights > height ? 
+					await readAt(heightsPath, height*LOCATION_SIZE, 
+						(this._heights-height)*LOCATION_SIZE) : 
+					Buffer.alloc(0),
+				segment: this._segment,
+				segmentLength: this._segmentLength,
+			};
+
+			try {
+				const entries = remove.map(block => [block.hash, null]);
+				const locations = [];
+				for(let i=0; i<append.length; i++) {
+					const location = await this._append(encodeRecord(append[i], {
+							canonical: false,
+							codec,
+							height: height+i,
+						}));
+					entries.push([append[i].hash, location]);
+					locations.push(location);
+				}
+				await this._commit(entries, height, locations);
+			} catch(err) {
+				await this._rollback(height, mark);
+				throw err;
+			}
+			append.forEach(block => block.seal());
+		});
+	}
+
+	/**
+	 * Truncates the indexes back to the given mark, then deletes the commit 
+	 * file and truncates the log, so that a rollback interrupted by a crash 
+	 * leaves the write either applied or undone. The indexes are then read 
+	 * again.
+	 * 
+	 * @param {number} height - The height from which the height index was 
+	 * 		rewritten.
+	 * @param {Object} mark - `{ hashes, heights, segment, segmentLength }`, 
+	 * 		the size of the hash index, the entries of the height index from 
+	 * 		the given height up, the last segment and its length.
+	 */
+	async _rollback(height, { hashes, heights, segment, segmentLength }) {
+		await rewriteTail(this._path(HASH_INDEX_FILE), hashes);
+		await rewriteTail(this._path(HEIGHT_INDEX_FILE), height*LOCATION_SIZE,
+			heights);
+		await fs.promises.rm(this._path(COMMIT_FILE), { force: true });
+		for(let s=this._segment; s>segment; s--) {
+			await fs.promises.rm(this._segmentPath(s), { force: true });
+		}
+		await rewriteTail(this._segmentPath(segment), segmentLength);
+		this._opening = null;
+		await this.open();
+	}
+
+	/**
+	 * This method overrides the extended class {@link StorageAdapter}'s 
+	 * 'clone' method.
+	 * 
+	 * @param  {Object} [options={}]
+	 * @param  {string} [options.directory] - The directory of the copy, the 
+	 * 		directory of this chain suffixed with '-CLONE' by default.
+	 * @param  {number} [options.segmentSize] - The segment size of the copy, 
+	 * 		that of this chain by default.
+	 * @return {Storage}
+	 */
+	clone({
+		directory=`${this._directory}-CLONE`,
+		segmentSize=this._segmentSize
+	} = {}) {
+		return new Storage({ directory, segmentSize });
+	}
+}
+
+module.exports = Storage;
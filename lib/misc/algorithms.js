@@ -0,0 +1,116 @@
+/*
+ * A registry of named hashing algorithms. Blocks and chains store the name of 
+ * their hashing algorithm, so that they can be verified again once reloaded 
+ * from storage. A hashing algorithm is a function `(data, encode)` returning 
+ * a hex digest of `encode(data)`, see {@link module:sha}.
+ */
+const sha = require('./sha');
+
+const BUILTIN_ALGORITHMS = {
+	'BLAKE2b512': sha.BLAKE2B512,
+	'BLAKE2s256': sha.BLAKE2S256,
+	'SHA1': sha.SHA1,
+	'SHA224': sha.SHA224,
+	'SHA256': sha.SHA256,
+	'SHA384': sha.SHA384,
+	'SHA512': sha.SHA512,
+	'SHA3-256': sha.SHA3_256,
+	'SHA3-384': sha.SHA3_384,
+	'SHA3-512': sha.SHA3_512,
+};
+
+const registry = new Map(Object.entries(BUILTIN_ALGORITHMS));
+
+/**
+ * Registers a custom hashing algorithm under the given name. Built-in 
+ * algorithms cannot be replaced.
+ *
+ * @param {string} name
+ * @param {Function} hashingAlgorithm
+ */
+const registerHashingAlgorithm = (name, hashingAlgorithm) => {
+	if(!name || typeof name !== 'string') {
+		throw new Error(`Hashing algorithm name must be a non-empty string!`);
+	}
+	if(typeof hashingAlgorithm !== 'function') {
+		throw new Error(`Hashing algorithm '${name}' is not a function!`);
+	}
+	if(isBuiltinHashingAlgorithm(name)) {
+		throw new Error(`Cannot replace built-in hashing algorithm ` + 
+			`'${name}'!`);
+	}
+	registry.set(name, hashingAlgorithm);
+};
+
+/**
+ * @param  {string} name
+ * @return {Function}
+ * @throws {Error} - If no algorithm is registered under the given name.
+ */
+const getHashingAlgorithm = (name) => {
+	const hashingAlgorithm = registry.get(name);
+	if(!hashingAlgorithm) {
+		throw new Error(`Unknown hashing algorithm '${name}'!`);
+	}
+	return hashingAlgorithm;
+};
+
+/**
+ * @param  {Function} hashingAlgorithm
+ * @return {string|undefined} - The name under which the given algorithm is 
+ * 		registered, if any.
+ */
+const hashingAlgorithmName = (hashingAlgorithm) => {
+	for(const [name, fn] of registry) {
+		if(fn === hashingAlgorithm) {
+			return name;
+		}
+	}
+};
+
+/**
+ * Built-in algorithms are available in every thread, whereas custom 
+ * algorithms are only registered in the thread which registered them.
+ *
+ * @param  {string} name
+ * @return {Boolean}
+ */
+const isBuiltinHashingAlgorithm = (name) =>
+	Object.prototype.hasOwnProperty.call(BUILTIN_ALGORITHMS, name);
+
+/**
+ * Resolves the given hashing algorithm, given either by name or as a 
+ * registered function, to its name and function.
+ *
+ * @param  {string|Function} hashingAlgorithm
+ * @return {Object} - `{ name, hashingAlgorithm }`.
+ * @throws {Error} - If the algorithm is not registered.
+ */
+const resolveHashingAlgorithm = (hashingAlgorithm) => {
+	if(typeof hashingAlgorithm === 'function') {
+		const name = hashingAlgorithmName(hashingAlgorithm);
+		if(!name) {
+			throw new Error(`Hashing algorithm must be registered by name ` + 
+				`with 'registerHashingAlgorithm()' before use!`);
+		}
+		return { name, hashingAlgorithm };
+	}
+	return {
+		name: hashingAlgorithm,
+		hashingAlgorithm: getHashingAlgorithm(hashingAlgorithm),
+	};
+};
+
+/**
+ * @return {Array<string>} - The names of all registered algorithms.
+ */
+const hashingAlgorithms = () => Array.from(registry.keys());
+
+module.exports = {
+	getHashingAlgorithm,
+	hashingAlgorithmName,
+	hashingAlgorithms,
+	isBuiltinHashingAlgorithm,
+	registerHashingAlgorithm,
+	resolveHashingAlgorithm,
+};
@@ -0,0 +1,124 @@
+/*
+ * The portable archive format of whole chains, written by `chain.export()` 
+ * and read by `Chain.import()`. An archive is newline-delimited JSON (NDJSON):
+ * 
+ * - the first line is the manifest, `{ format, version, name, height, 
+ *   hashingAlgorithm, tip, codec, difficulty, retarget, signers }`, where 
+ *   format is {@link Constants.ARCHIVE_FORMAT}, version is 
+ *   {@link Constants.ARCHIVE_VERSION} and tip is the hash of the last block 
+ *   (null for an empty chain);
+ * - every following line is a block of the canonical chain, in height order, 
+ *   holding the fields of its header and a `body` field with the block body 
+ *   encoded with the CBOR codec, in base64. CBOR keeps binary and BigInt 
+ *   block data intact whichever backend and codec the chain uses.
+ */
+const { once } = require('events');
+const readline = require('readline');
+
+/**
+ * @typedef {import('../base/Constants')} Constants
+ */
+const Constants = require('../base/Constants');
+
+const { getCodec } = require('./codecs');
+
+const BODY_CODEC = getCodec(Constants.CHAIN_CODECS.CBOR);
+
+/**
+ * Writes a line to the given writable stream, waiting for the stream to 
+ * drain if its buffer is full.
+ * 
+ * @param  {Writable} stream
+ * @param  {Object} value - The value written, as JSON.
+ */
+const writeLine = async (stream, value) => {
+	if(!stream.write(`${JSON.stringify(value)}\n`)) {
+		await once(stream, 'drain');
+	}
+};
+
+/**
+ * Yields the values of the lines of the given readable stream, skipping 
+ * blank lines.
+ * 
+ * @param  {Readable} stream
+ * @return {AsyncGenerator<Object>}
+ */
+async function* readLines(stream) {
+	const lines = readline.createInterface({
+		input: stream,
+		crlfDelay: Infinity,
+	});
+	let number = 0;
+	for await (const line of lines) {
+		number++;
+		if(!line.trim()) {
+			continue;
+		}
+		try {
+			yield JSON.parse(line);
+		} catch(err) {
+			throw new Error(`Archive line ${number} is not valid JSON!`);
+		}
+	}
+}
+
+/**
+ * @param  {Object} fields - The chain fields `{ name, height, 
+ * 		hashingAlgorithm, tip, codec, difficulty, retarget, signers }`.
+ * @return {Object} - The archive manifest.
+ */
+const createManifest = (fields) => ({
+	format: Constants.ARCHIVE_FORMAT,
+	version: Constants.ARCHIVE_VERSION,
+	...fields,
+});
+
+/**
+ * @param  {Object} manifest - The first value of an archive.
+ * @return {Object} - The manifest, if it is of a supported format and 
+ * 		version.
+ * @throws {Error}
+ */
+const checkManifest = (manifest) => {
+	if(!manifest || manifest.format !== Constants.ARCHIVE_FORMAT) {
+		throw new Error(`Archive does not start with a manifest!`);
+	}
+	if(manifest.version !== Constants.ARCHIVE_VERSION) {
+		throw new Error(`Unsupported archive version ${manifest.version}!`);
+	}
+	if(!Number.isInteger(manifest.height) || manifest.height < 0) {
+		throw new Error(`Invalid archive height ${manifest.height}!`);
+	}
+	return manifest;
+};
+
+/**
+ * @param  {Block} block
+ * @return {Object} - The archive entry of the block.
+ */
+const encodeBlock = (block) => ({
+	...block.header.toJSON(),
+	body: BODY_CODEC.encode(block.body).toString('base64'),
+});
+
+/**
+ * @param  {Object} entry - An archive entry.
+ * @return {Object} - The block fields of the entry, data included.
+ */
+const decodeBlock = ({ body, ...header }) => {
+	if(typeof body !== 'string') {
+		throw new Error(`Archive block "${header.hash}" has no body!`);
+	}
+	const { data } = BODY_CODEC.decode(Buffer.from(body, 'base64'));
+	return { ...header, data };
+};
+
+module.exports = {
+	checkManifest,
+	createManifest,
+	decodeBlock,
+	encodeBlock,
+	readLines,
+	writeLine,
+};
@@ -0,0 +1,86 @@
+/**
+ * @typedef {import('../base/Constants')} Constants
+ */
+const Constants = require('../base/Constants');
+
+/**
+ * Serializes the given value to a canonical JSON string, such that equal 
+ * values always produce the same string regardless of object key order:
+ * 
+ * - object keys are sorted by UTF-16 code units, and keys whose value is 
+ *   undefined or a function are omitted;
+ * - array items which are undefined or functions are written as null;
+ * - numbers must be finite and are written in their shortest round-trip form, 
+ *   with -0 written as 0;
+ * - strings are not normalized; they are written with JSON escaping, which 
+ *   escapes lone surrogates, so the output is always valid UTF-8 once 
+ *   encoded;
+ * - values with a toJSON method (such as Dates and Buffers) are serialized 
+ *   through it, and other byte arrays are serialized as Buffers, so that 
+ *   values hash the same whichever codec they were stored with;
+ * - BigInts are written as their decimal digits followed by `n`. As this is 
+ *   not valid JSON, a BigInt never hashes the same as a number or a string.
+ * 
+ * @param  {*} value - The value to serialize.
+ * @return {string}
+ * @throws {TypeError} - If the value contains a non-finite number or a 
+ * 		symbol, or is itself undefined.
+ */
+const canonicalize = (value) => {
+	if(value instanceof Uint8Array && !Buffer.isBuffer(value)) {
+		value = Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+	}
+
+	if(value !== null && typeof value === 'object' && 
+		typeof value.toJSON === 'function') {
+			value = value.toJSON();
+	}
+
+	if(value === null) {
+		return 'null';
+	}
+
+	switch(typeof value) {
+		case 'boolean':
+			return value ? 'true' : 'false';
+		case 'number':
+			if(!Number.isFinite(value)) {
+				throw new TypeError(`Cannot canonicalize number ${value}!`);
+			}
+			return JSON.stringify(value);
+		case 'string':
+			return JSON.stringify(value);
+		case 'bigint':
+			return `${value}n`;
+		case 'object':
+			if(Array.isArray(value)) {
+				const items = value.map(item => 
+					(typeof item === 'undefined' || typeof item === 'function') ? 
+						'null' : canonicalize(item));
+				return `[${items.join(',')}]`;
+			} else {
+				const members = Object.keys(value)
+					.sort()
+					.filter(key => typeof value[key] !== 'undefined' && 
+						typeof value[key] !== 'function')
+					.map(key => 
+						`${JSON.stringify(key)}:${canonicalize(value[key])}`);
+				return `{${members.join(',')}}`;
+			}
+		default:
+			throw new TypeError(`Cannot canonicalize value of type ` + 
+				`'${typeof value}'!`);
+	}
+};
+
+/**
+ * Returns the encoding used to hash blocks of the given block-format version. 
+ * Legacy blocks (version 1) were hashed with plain JSON.stringify.
+ * 
+ * @param  {number} version - The block-format version.
+ * @return {Function}
+ */
+const encodingFor = (version) =>
+	version <= Constants.LEGACY_BLOCK_VERSION ? JSON.stringify : canonicalize;
+
+module.exports = { canonicalize, encodingFor };
@@ -0,0 +1,283 @@
+/*
+ * A minimal CBOR (RFC 8949) encoder and decoder, covering the values stored in
+ * blocks:
+ *
+ * - null, undefined, booleans, numbers (integers up to 2^53, otherwise
+ *   float64) and strings;
+ * - Buffers and other Uint8Arrays, as byte strings (decoded as Buffers);
+ * - BigInts, as tag 2/3 bignums (always decoded as BigInts);
+ * - Dates, as tag 0 date/time strings;
+ * - arrays, and objects as maps with string keys.
+ *
+ * Only definite-length items are written; the decoder additionally accepts
+ * float16/float32 values and the self-described CBOR tag 55799.
+ */
+
+const TAG_DATE_STRING = 0;
+const TAG_DATE_EPOCH = 1;
+const TAG_POSITIVE_BIGNUM = 2;
+const TAG_NEGATIVE_BIGNUM = 3;
+const TAG_SELF_DESCRIBED = 55799;
+
+/**
+ * The encoded self-described CBOR tag, which prefixes encoded values so that
+ * they can be told apart from other formats.
+ * @const {Buffer}
+ */
+const MAGIC = Buffer.from([0xd9, 0xd9, 0xf7]);
+
+const encodeHead = (major, value) => {
+	const type = major << 5;
+	if(value > 0xffffffff) {
+		const head = Buffer.alloc(9);
+		head[0] = type | 27;
+		head.writeBigUInt64BE(BigInt(value), 1);
+		return head;
+	}
+	if(value < 24) {
+		return Buffer.from([type | value]);
+	}
+	if(value <= 0xff) {
+		return Buffer.from([type | 24, value]);
+	}
+	if(value <= 0xffff) {
+		const head = Buffer.alloc(3);
+		head[0] = type | 25;
+		head.writeUInt16BE(value, 1);
+		return head;
+	}
+	const head = Buffer.alloc(5);
+	head[0] = type | 26;
+	head.writeUInt32BE(value, 1);
+	return head;
+};
+
+const bigintToBytes = (value) => {
+	let hex = value.toString(16);
+	if(hex.length % 2) {
+		hex = `0${hex}`;
+	}
+	return Buffer.from(hex, 'hex');
+};
+
+const encodeItem = (value, chunks) => {
+	if(value === null) {
+		return chunks.push(Buffer.from([0xf6]));
+	}
+
+	switch(typeof value) {
+		case 'undefined':
+			return chunks.push(Buffer.from([0xf7]));
+		case 'boolean':
+			return chunks.push(Buffer.from([value ? 0xf5 : 0xf4]));
+		case 'number':
+			if(Number.isSafeInteger(value) && !Object.is(value, -0)) {
+				return chunks.push(value >= 0 ?
+					encodeHead(0, value) : encodeHead(1, -1 - value));
+			} else {
+				const float = Buffer.alloc(9);
+				float[0] = 0xfb;
+				float.writeDoubleBE(value, 1);
+				return chunks.push(float);
+			}
+		case 'bigint':
+			if(value >= 0n) {
+				chunks.push(encodeHead(6, TAG_POSITIVE_BIGNUM));
+				return encodeItem(bigintToBytes(value), chunks);
+			} else {
+				chunks.push(encodeHead(6, TAG_NEGATIVE_BIGNUM));
+				return encodeItem(bigintToBytes(-1n - value), chunks);
+			}
+		case 'string': {
+			const bytes = Buffer.from(value, 'utf8');
+			chunks.push(encodeHead(3, bytes.length));
+			return chunks.push(bytes);
+		}
+		case 'object':
+			if(value instanceof Uint8Array) {
+				chunks.push(encodeHead(2, value.length));
+				return chunks.push(Buffer.from(value));
+			}
+			if(value instanceof Date) {
+				chunks.push(encodeHead(6, TAG_DATE_STRING));
+				return encodeItem(value.toISOString(), chunks);
+			}
+			if(Array.isArray(value)) {
+				chunks.push(encodeHead(4, value.length));
+				return value.forEach(item => encodeItem(item, chunks));
+			} else {
+				const keys = Object.keys(value);
+				chunks.push(encodeHead(5, keys.length));
+				return keys.forEach(key => {
+					encodeItem(key, chunks);
+					encodeItem(value[key], chunks);
+				});
+			}
+		default:
+			throw new TypeError(`Cannot encode value of type ` +
+				`'${typeof value}' to CBOR!`);
+	}
+};
+
+/**
+ * @param  {*} value
+ * @return {Buffer}
+ */
+const encode = (value) => {
+	const chunks = [];
+	encodeItem(value, chunks);
+	return Buffer.concat(chunks);
+};
+
+const decodeHalf = (half) => {
+	const exponent = (half >> 10) & 0x1f;
+	const mantissa = half & 0x3ff;
+	const sign = half & 0x8000 ? -1 : 1;
+	if(exponent === 0) {
+		return sign * Math.pow(2, -14) * (mantissa / 1024);
+	}
+	if(exponent === 0x1f) {
+		return mantissa ? NaN : sign * Infinity;
+	}
+	return sign * Math.pow(2, exponent - 15) * (1 + mantissa / 1024);
+};
+
+/**
+ * Decodes a single CBOR item from the given buffer.
+ *
+ * @param  {Buffer} buffer
+ * @return {*}
+ * @throws {Error} - If the buffer is truncated, holds trailing bytes, or
+ * 		uses an unsupported encoding.
+ */
+const decode = (buffer) => {
+	let offset = 0;
+
+	const need = (length) => {
+		if(offset + length > buffer.length) {
+			throw new Error(`Unexpected end of CBOR data!`);
+		}
+	};
+
+	const readArgument = (info) => {
+		if(info < 24) {
+			return info;
+		}
+		switch(info) {
+			case 24:
+				need(1);
+				return buffer.readUInt8(offset++);
+			case 25:
+				need(2);
+				offset += 2;
+				return buffer.readUInt16BE(offset - 2);
+			case 26:
+				need(4);
+				offset += 4;
+				return buffer.readUInt32BE(offset - 4);
+			case 27: {
+				need(8);
+				offset += 8;
+				const value = buffer.readBigUInt64BE(offset - 8);
+				return value <= BigInt(Number.MAX_SAFE_INTEGER) ?
+					Number(value) : value;
+			}
+			default:
+				throw new Error(`Unsupported CBOR length encoding ${info}!`);
+		}
+	};
+
+	const readItem = () => {
+		need(1);
+		const initial = buffer[offset++];
+		const major = initial >> 5;
+		const info = initial & 0x1f;
+
+		if(major === 7) {
+			switch(info) {
+				case 20: return false;
+				case 21: return true;
+				case 22: return null;
+				case 23: return undefined;
+				case 25:
+					need(2);
+					offset += 2;
+					return decodeHalf(buffer.readUInt16BE(offset - 2));
+				case 26:
+					need(4);
+					offset += 4;
+					return buffer.readFloatBE(offset - 4);
+				case 27:
+					need(8);
+					offset += 8;
+					return buffer.readDoubleBE(offset - 8);
+				default:
+					throw new Error(`Unsupported CBOR simple value ${info}!`);
+			}
+		}
+
+		const argument = readArgument(info);
+		switch(major) {
+			case 0:
+				return argument;
+			case 1:
+				return typeof argument === 'bigint' ?
+					-1n - argument : -1 - argument;
+			case 2:
+				need(argument);
+				offset += argument;
+				return Buffer.from(buffer.subarray(offset - argument, offset));
+			case 3:
+				need(argument);
+				offset += argument;
+				return buffer.toString('utf8', offset - argument, offset);
+			case 4: {
+				const items = [];
+				for(let i=0; i<argument; i++) {
+					items.push(readItem());
+				}
+				return items;
+			}
+			case 5: {
+				const object = {};
+				for(let i=0; i<argument; i++) {
+					const key = readItem();
+					Object.defineProperty(object, key, {
+						configurable: true,
+						enumerable: true,
+						value: readItem(),
+						writable: true,
+					});
+				}
+				return object;
+			}
+			case 6: {
+				const content = readItem();
+				const bignum = () => 
+					BigInt(`0x${content.toString('hex') || '0'}`);
+				switch(argument) {
+					case TAG_DATE_STRING:
+						return new Date(content);
+					case TAG_DATE_EPOCH:
+						return new Date(content * 1000);
+					case TAG_POSITIVE_BIGNUM:
+						return bignum();
+					case TAG_NEGATIVE_BIGNUM:
+						return -1n - bignum();
+					case TAG_SELF_DESCRIBED:
+						return content;
+					default:
+						throw new Error(`Unsupported CBOR tag ${argument}!`);
+				}
+			}
+		}
+	};
+
+	const value = readItem();
+	if(offset !== buffer.length) {
+		throw new Error(`Unexpected trailing bytes in CBOR data!`);
+	}
+	return value;
+};
+
+module.exports = { decode, encode, MAGIC };
@@ -0,0 +1,56 @@
+/*
+ * The codecs used to store blocks. A codec encodes a value to a Buffer and 
+ * decodes it back. Values encoded with the CBOR codec start with the 
+ * self-described CBOR tag, so that stored values of either codec can be read 
+ * without knowing which codec wrote them.
+ */
+const cbor = require('./cbor');
+
+/**
+ * @typedef {import('../base/Constants')} Constants
+ */
+const Constants = require('../base/Constants');
+
+const CODECS = {
+	[Constants.CHAIN_CODECS.CBOR]: {
+		name: Constants.CHAIN_CODECS.CBOR,
+		encode: (value) => Buffer.concat([cbor.MAGIC, cbor.encode(value)]),
+		decode: (buffer) => cbor.decode(buffer),
+	},
+	[Constants.CHAIN_CODECS.JSON]: {
+		name: Constants.CHAIN_CODECS.JSON,
+		encode: (value) => Buffer.from(JSON.stringify(value), 'utf8'),
+		decode: (buffer) => JSON.parse(buffer.toString('utf8')),
+	},
+};
+
+/**
+ * @param  {string} name - One of {@link Constants.CHAIN_CODECS}.
+ * @return {Object} - The codec `{ name, encode, decode }`.
+ * @throws {Error} - If there is no codec with the given name.
+ */
+const getCodec = (name) => {
+	const codec = CODECS[name];
+	if(!codec) {
+		throw new Error(`Unknown codec '${name}'!`);
+	}
+	return codec;
+};
+
+/**
+ * @param  {Buffer} buffer - An encoded value.
+ * @return {string} - The name of the codec which encoded the value.
+ */
+const detectCodec = (buffer) => 
+	buffer.subarray(0, cbor.MAGIC.length).equals(cbor.MAGIC) ? 
+		Constants.CHAIN_CODECS.CBOR : Constants.CHAIN_CODECS.JSON;
+
+/**
+ * Decodes the given value, whichever codec encoded it.
+ * 
+ * @param  {Buffer} buffer - An encoded value.
+ * @return {*}
+ */
+const decodeAny = (buffer) => getCodec(detectCodec(buffer)).decode(buffer);
+
+module.exports = { decodeAny, detectCodec, getCodec };
@@ -0,0 +1,105 @@
+/**
+ * @typedef {import('../base/Constants')} Constants
+ */
+const Constants = require('../base/Constants');
+
+/**
+ * Counts the number of trailing zeros in the given hash.
+ *
+ * @param  {string} hash - The hash to inspect.
+ * @return {number}
+ */
+const trailingZeros = (hash) => {
+	if(typeof hash !== 'string') {
+		return 0;
+	}
+	return hash.length - hash.replace(/0+$/, '').length;
+};
+
+/**
+ * Checks whether the given hash satisfies the given proof-of-work difficulty.
+ *
+ * @param  {string} hash - The hash to check.
+ * @param  {number} difficulty - The number of trailing zeros required.
+ * @return {Boolean}
+ */
+const meetsDifficulty = (hash, difficulty) =>
+	typeof hash === 'string' && trailingZeros(hash) >= difficulty;
+
+/**
+ * Returns the expected amount of work needed to mine a block of the given 
+ * difficulty. Every trailing zero of a hexadecimal hash makes a block sixteen 
+ * times harder to find.
+ *
+ * @param  {number} difficulty - The number of trailing zeros required.
+ * @return {BigInt}
+ */
+const blockWork = (difficulty) => 16n ** BigInt(difficulty);
+
+/**
+ * Fills in the defaults for the given retarget options. Returns null if
+ * retargeting is disabled (falsy options).
+ *
+ * @param  {Object|Boolean} options - The retarget options, or true to use
+ * 		{@link Constants.DEFAULT_RETARGET}.
+ * @return {Object|null}
+ */
+const normalizeRetarget = (options) => {
+	if(!options) {
+		return null;
+	}
+
+	const retarget = {
+		...Constants.DEFAULT_RETARGET,
+		...(typeof options === 'object' ? options : {}),
+	};
+
+	if(!Number.isInteger(retarget.interval) || retarget.interval < 2) {
+		throw new Error(`Retarget interval must be an integer of at least 2!`);
+	}
+	if(retarget.minDifficulty > retarget.maxDifficulty) {
+		throw new Error(`Retarget minDifficulty must not exceed ` +
+			`maxDifficulty!`);
+	}
+
+	return retarget;
+};
+
+/**
+ * Computes the difficulty that follows a retarget window. If the blocks in the
+ * window were mined more than twice as fast as the target block time, the
+ * difficulty is raised by one; if they were mined more than twice as slow,
+ * the difficulty is lowered by one. The result is clamped to the minimum and
+ * maximum difficulty of the retarget options.
+ *
+ * @param  {number} difficulty - The difficulty in force during the window.
+ * @param  {Array<number>} timestamps - The timestamps (in ms) of the blocks
+ * 		in the window, in chain order.
+ * @param  {Object} options - Normalized retarget options.
+ * @return {number} - The difficulty for the next window.
+ */
+const retarget = (difficulty, timestamps, options) => {
+	const { maxDifficulty, minDifficulty, targetBlockTimeMs } = options;
+
+	let next = difficulty;
+	if(timestamps.length > 1) {
+		const elapsed = timestamps[timestamps.length-1] - timestamps[0];
+		const average = elapsed / (timestamps.length - 1);
+
+		if(average < targetBlockTimeMs / 2) {
+			next++;
+		} else if(average > targetBlockTimeMs * 2) {
+			next--;
+		}
+	}
+
+	return Math.min(maxDifficulty, Math.max(minDifficulty, next));
+};
+
+module.exports = {
+	blockWork,
+	meetsDifficulty,
+	normalizeRetarget,
+	retarget,
+	trailingZeros,
+};
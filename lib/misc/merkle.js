@@ -0,0 +1,135 @@
+/*
+ * Merkle tree helpers over block data entries. Leaves and inner nodes are 
+ * hashed with distinct prefixes, so that an inner node can never be presented 
+ * as a leaf. An odd node at the end of a level is promoted to the next level 
+ * unchanged rather than being paired with itself.
+ */
+
+const LEAF_PREFIX = 0;
+const NODE_PREFIX = 1;
+
+/**
+ * @param  {*} entry - A data entry.
+ * @param  {Function} hashingAlgorithm
+ * @return {string}
+ */
+const hashLeaf = (entry, hashingAlgorithm) =>
+	hashingAlgorithm([LEAF_PREFIX, entry]);
+
+/**
+ * @param  {string} left
+ * @param  {string} right
+ * @param  {Function} hashingAlgorithm
+ * @return {string}
+ */
+const hashNode = (left, right, hashingAlgorithm) =>
+	hashingAlgorithm([NODE_PREFIX, left, right]);
+
+/**
+ * Builds every level of the Merkle tree, from the leaves up to the root.
+ *
+ * @param  {Array} entries - The data entries.
+ * @param  {Function} hashingAlgorithm
+ * @return {Array<Array<string>>}
+ */
+const buildLevels = (entries, hashingAlgorithm) => {
+	let level = entries.map(entry => hashLeaf(entry, hashingAlgorithm));
+	const levels = [level];
+
+	while(level.length > 1) {
+		const next = [];
+		for(let i=0; i<level.length; i+=2) {
+			if(i+1 < level.length) {
+				next.push(hashNode(level[i], level[i+1], hashingAlgorithm));
+			} else {
+				next.push(level[i]);
+			}
+		}
+		levels.push(next);
+		level = next;
+	}
+
+	return levels;
+};
+
+/**
+ * Computes the Merkle root of the given data entries. The root of an empty 
+ * list is the hash of an empty array.
+ *
+ * @param  {Array} entries - The data entries.
+ * @param  {Function} hashingAlgorithm
+ * @return {string}
+ */
+const merkleRoot = (entries, hashingAlgorithm) => {
+	if(entries.length < 1) {
+		return hashingAlgorithm([]);
+	}
+	const levels = buildLevels(entries, hashingAlgorithm);
+	return levels[levels.length-1][0];
+};
+
+/**
+ * Computes the inclusion proof of the entry at the given index. The proof is 
+ * the list of sibling hashes from the leaf up to the root, each with the side 
+ * on which the sibling is concatenated.
+ *
+ * @param  {Array} entries - The data entries.
+ * @param  {number} index - The index of the entry to prove.
+ * @param  {Function} hashingAlgorithm
+ * @return {Array<Object>} - A list of `{ hash, position }`, where position is 
+ * 		either 'left' or 'right'.
+ */
+const merkleProof = (entries, index, hashingAlgorithm) => {
+	if(!Number.isInteger(index) || index < 0 || index >= entries.length) {
+		throw new RangeError(`No data entry at index ${index}!`);
+	}
+
+	const proof = [];
+	const levels = buildLevels(entries, hashingAlgorithm);
+	for(let i=0; i<levels.length-1; i++) {
+		const level = levels[i];
+		const sibling = index % 2 === 0 ? index + 1 : index - 1;
+		if(sibling < level.length) {
+			proof.push({
+				hash: level[sibling],
+				position: sibling < index ? 'left' : 'right',
+			});
+		}
+		index = Math.floor(index / 2);
+	}
+
+	return proof;
+};
+
+/**
+ * Checks that the given entry is included under the given Merkle root.
+ *
+ * @param  {*} entry - The data entry.
+ * @param  {Array<Object>} proof - The proof, see {@link merkleProof}.
+ * @param  {string} root - The expected Merkle root.
+ * @param  {Function} hashingAlgorithm
+ * @return {Boolean}
+ */
+const verifyMerkleProof = (entry, proof, root, hashingAlgorithm) => {
+	if(!Array.isArray(proof)) {
+		return false;
+	}
+
+	let hash = hashLeaf(entry, hashingAlgorithm);
+	for(const step of proof) {
+		if(!step || typeof step.hash !== 'string') {
+			return false;
+		}
+		if(step.position === 'left') {
+			hash = hashNode(step.hash, hash, hashingAlgorithm);
+		} else if(step.position === 'right') {
+			hash = hashNode(hash, step.hash, hashingAlgorithm);
+		} else {
+			return false;
+		}
+	}
+
+	return hash === root;
+};
+
+module.exports = { merkleProof, merkleRoot, verifyMerkleProof };
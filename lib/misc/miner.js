@@ -0,0 +1,172 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const {
+	getHashingAlgorithm,
+	isBuiltinHashingAlgorithm
+} = require('./algorithms');
+const { canonicalize, encodingFor } = require('./canonical');
+const { meetsDifficulty } = require('./difficulty');
+
+/**
+ * The number of nonces tried between two progress reports.
+ * @const {number}
+ */
+const DEFAULT_PROGRESS_INTERVAL = 10000;
+
+const WORKER_PATH = path.join(__dirname, 'minerWorker.js');
+
+/**
+ * Creates the error used to reject a mining operation that was aborted.
+ *
+ * @return {Error}
+ */
+const abortError = () => {
+	const err = new Error(`Mining aborted!`);
+	err.name = 'AbortError';
+	return err;
+};
+
+/**
+ * Searches up to `count` nonces, starting at `start`, for one which makes the
+ * hash of the given content satisfy the given difficulty. The `nonce`
+ * property of the content is overwritten in place, so that the key order of
+ * the hashed content is preserved.
+ *
+ * @param  {Object} options
+ * @param  {Object} options.content - The hashed content of the block.
+ * @param  {number} options.difficulty - The difficulty to satisfy.
+ * @param  {Function} options.hashingAlgorithm - The hashing function.
+ * @param  {Function} [options.encode=canonicalize] - The encoding passed to 
+ * 		the hashing function.
+ * @param  {number} [options.start=0] - The first nonce to try.
+ * @param  {number} [options.count=Infinity] - The number of nonces to try.
+ * @return {Object|null} - The found `{ hash, nonce }`, or null.
+ */
+const search = ({
+	content,
+	difficulty,
+	hashingAlgorithm,
+	encode = canonicalize,
+	start = 0,
+	count = Infinity
+}) => {
+	for(let nonce=start; nonce-start<count; nonce++) {
+		content.nonce = nonce;
+		const hash = hashingAlgorithm(content, encode);
+		if(meetsDifficulty(hash, difficulty)) {
+			return { hash, nonce };
+		}
+	}
+	return null;
+};
+
+/**
+ * Mines the given content on a worker thread. Custom hashing algorithms are 
+ * only registered on the calling thread, so they are mined on the calling 
+ * thread instead, in chunks which yield to the event loop between progress 
+ * reports.
+ *
+ * @param  {Object} options
+ * @param  {Object} options.content - The hashed content of the block.
+ * @param  {number} options.difficulty - The difficulty to satisfy.
+ * @param  {string} options.algorithm - The name of the hashing algorithm, see 
+ * 		{@link module:algorithms}.
+ * @param  {number} options.version - The block-format version, which selects 
+ * 		the encoding passed to the hashing function.
+ * @param  {Function} [options.onProgress] - Called with `{ attempts, nonce }`
+ * 		every `progressInterval` nonces.
+ * @param  {number} [options.progressInterval=10000]
+ * @return {Object} - A job `{ promise, cancel }`. The promise resolves with
+ * 		`{ hash, nonce }`; calling `cancel` rejects it with an AbortError.
+ */
+const mine = ({
+	content,
+	difficulty,
+	algorithm,
+	version,
+	onProgress,
+	progressInterval = DEFAULT_PROGRESS_INTERVAL
+}) => {
+	const hashingAlgorithm = getHashingAlgorithm(algorithm);
+	const report = (nonce) => {
+		if(typeof onProgress === 'function') {
+			onProgress({ attempts: nonce, nonce });
+		}
+	};
+
+	let cancel;
+	const promise = new Promise((resolve, reject) => {
+		if(!isBuiltinHashingAlgorithm(algorithm)) {
+			let cancelled = false;
+			cancel = () => {
+				cancelled = true;
+				reject(abortError());
+			};
+
+			const step = (start) => {
+				if(cancelled) {
+					return;
+				}
+				try {
+					const result = search({
+						content,
+						difficulty,
+						hashingAlgorithm,
+						encode: encodingFor(version),
+						start,
+						count: progressInterval,
+					});
+					if(result) {
+						return resolve(result);
+					}
+					report(start + progressInterval);
+					setImmediate(step, start + progressInterval);
+				} catch(err) {
+					reject(err);
+				}
+			};
+			return setImmediate(step, 0);
+		}
+
+		const worker = new Worker(WORKER_PATH, {
+			workerData: {
+				algorithm,
+				content,
+				difficulty,
+				progressInterval,
+				version,
+			},
+		});
+
+		let settled = false;
+		const settle = (fn, value) => {
+			if(!settled) {
+				settled = true;
+				fn(value);
+			}
+		};
+
+		cancel = () => {
+			settle(reject, abortError());
+			worker.terminate();
+		};
+
+		worker.on('message', (message) => {
+			if(message.type === 'progress') {
+				report(message.nonce);
+			} else if(message.type === 'result') {
+				settle(resolve, { hash: message.hash, nonce: message.nonce });
+			}
+		});
+		worker.on('error', (err) => settle(reject, err));
+		worker.on('exit', (code) => {
+			settle(reject, new Error(`Mining worker exited with code ` + 
+				`${code}!`));
+		});
+	});
+
+	return { cancel, promise };
+};
+
+module.exports = { abortError, mine, search };
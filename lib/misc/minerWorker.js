@@ -0,0 +1,38 @@
+/*
+ * Worker thread entry point used by {@link module:miner.mine}. Searches for a 
+ * nonce satisfying the difficulty and reports progress to the parent thread.
+ */
+const { parentPort, workerData } = require('worker_threads');
+
+const { getHashingAlgorithm } = require('./algorithms');
+const { encodingFor } = require('./canonical');
+const { search } = require('./miner');
+
+const {
+	algorithm,
+	content,
+	difficulty,
+	progressInterval,
+	version
+} = workerData;
+const hashingAlgorithm = getHashingAlgorithm(algorithm);
+const encode = encodingFor(version);
+
+let start = 0;
+let result = null;
+while(!result) {
+	result = search({
+		content,
+		difficulty,
+		hashingAlgorithm,
+		encode,
+		start,
+		count: progressInterval,
+	});
+	start += progressInterval;
+	if(!result) {
+		parentPort.postMessage({ type: 'progress', nonce: start });
+	}
+}
+
+parentPort.postMessage({ type: 'result', ...result });
@@ -0,0 +1,181 @@
+/*
+ * The built-in block validation rules of chains, see `chain.use()`. A rule is 
+ * an async function `(block, parent, chain)`, called with the candidate 
+ * block, the header of its parent (null for a genesis block) and the chain 
+ * the block is added to. A rule rejects the block by throwing an error 
+ * carrying one of the {@link Constants.REJECTION_CODES} in its `code` field, 
+ * see {@link rejection}, or by resolving to false.
+ * 
+ * Every chain applies the linkage, hashingAlgorithm, proofOfWork and 
+ * signature rules; the timestamp and maxBlockSize rules are opt-in.
+ */
+
+/**
+ * @typedef {import('../base/Constants')} Constants
+ */
+const Constants = require('../base/Constants');
+
+const { getCodec } = require('./codecs');
+
+const { REJECTION_CODES } = Constants;
+
+/**
+ * @param  {string} code - One of {@link Constants.REJECTION_CODES}.
+ * @param  {string} message
+ * @return {Error} - An error with the given reason code in its `code` field.
+ */
+const rejection = (code, message) =>
+	Object.assign(new Error(message), { code });
+
+/**
+ * @param  {BlockHeader|null} parent
+ * @return {number} - The height of a child of the given parent.
+ */
+const heightAfter = (parent) => parent ? parent.height+1 : 0;
+
+/**
+ * Rejects blocks which do not use the hashing algorithm of the chain.
+ * 
+ * @return {Function}
+ */
+const hashingAlgorithm = () => async (block, parent, chain) => {
+	if(block.hashingAlgorithm !== chain.hashingAlgorithm) {
+		throw rejection(REJECTION_CODES.BAD_HASHING_ALGORITHM,
+			`Invalid block hashing algorithm '${block.hashingAlgorithm}', ` +
+			`expected '${chain.hashingAlgorithm}'!`);
+	}
+};
+
+/**
+ * Rejects blocks which do not link to their parent, or to 
+ * {@link Constants.GENESIS_HASH} for a genesis block, or which do not record 
+ * the height following the height of their parent.
+ * 
+ * @return {Function}
+ */
+const linkage = () => async (block, parent) => {
+	const previous = parent ? parent.hash : Constants.GENESIS_HASH;
+	if(block.previous !== previous) {
+		throw rejection(REJECTION_CODES.BAD_LINK, `Invalid reference to ` +
+			`previous block at "${block.previous}", expected "${previous}"!`);
+	}
+	const height = heightAfter(parent);
+	if(typeof block.height === 'undefined') {
+		throw rejection(REJECTION_CODES.BAD_HEIGHT, `Block height is not ` +
+			`set, expected ${height}!`);
+	}
+	if(block.height !== height) {
+		throw rejection(REJECTION_CODES.BAD_HEIGHT, `Invalid block height ` +
+			`${block.height}, expected ${height}!`);
+	}
+};
+
+/**
+ * Rejects blocks which do not carry the difficulty in force at their height, 
+ * see `chain.difficultyAt()`, or whose hash does not satisfy it.
+ * 
+ * @return {Function}
+ */
+const proofOfWork = () => async (block, parent, chain) => {
+	const height = heightAfter(parent);
+	const difficulty = await chain.difficultyAt(height,
+		parent ? parent.hash : undefined);
+	if(block.difficulty !== difficulty) {
+		throw rejection(REJECTION_CODES.BAD_DIFFICULTY, `Invalid block ` +
+			`difficulty ${block.difficulty}, expected ${difficulty} at ` +
+			`height ${height}!`);
+	}
+	if(!block.verify()) {
+		throw rejection(REJECTION_CODES.BAD_PROOF_OF_WORK, `Block hash does ` +
+			`not satisfy difficulty ${difficulty}!`);
+	}
+};
+
+/**
+ * Rejects blocks which are not signed by a key of the signer registry of the 
+ * chain, unless the chain does not require signatures, see 
+ * {@link Chain.requiresSignatures}. As a signature covers the block hash 
+ * only, the hash of a signed block must also match its content.
+ * 
+ * @return {Function}
+ */
+const signature = () => async (block, parent, chain) => {
+	const { signers } = chain;
+	if(!chain.requiresSignatures) {
+		return;
+	}
+	if(signers.verify(block)) {
+		if(!block.verify(false)) {
+			throw rejection(REJECTION_CODES.BAD_SIGNATURE, `Block hash does ` +
+				`not match the signed block content!`);
+		}
+		return;
+	}
+	if(!block.signature || !block.signer) {
+		throw rejection(REJECTION_CODES.BAD_SIGNATURE, `Block is not signed!`);
+	}
+	if(!signers.has(block.signer)) {
+		throw rejection(REJECTION_CODES.BAD_SIGNATURE, `Block signer ` +
+			`"${block.signer}" is not authorised!`);
+	}
+	throw rejection(REJECTION_CODES.BAD_SIGNATURE, `Invalid block signature!`);
+};
+
+/**
+ * Rejects blocks whose timestamp is earlier than the timestamp of their 
+ * parent. Blocks without a timestamp are rejected once their parent has one.
+ * 
+ * @return {Function}
+ */
+const timestamp = () => async (block, parent) => {
+	if(!parent || typeof parent.timestamp !== 'number') {
+		return;
+	}
+	if(typeof block.timestamp !== 'number' ||
+			block.timestamp < parent.timestamp) {
+		throw rejection(REJECTION_CODES.BAD_TIMESTAMP, `Block timestamp ` +
+			`${block.timestamp} is earlier than its parent's timestamp ` +
+			`${parent.timestamp}!`);
+	}
+};
+
+/**
+ * Rejects blocks whose body, encoded with the codec of the chain, is larger 
+ * than the given number of bytes.
+ * 
+ * @param  {number} bytes - The maximum size of a block body.
+ * @return {Function}
+ */
+const maxBlockSize = (bytes) => {
+	if(!Number.isInteger(bytes) || bytes < 1) {
+		throw new Error(`Maximum block size must be a positive integer!`);
+	}
+	return async (block, parent, chain) => {
+		const size = getCodec(chain.codec).encode(block.body).length;
+		if(size > bytes) {
+			throw rejection(REJECTION_CODES.BLOCK_TOO_LARGE, `Block body of ` +
+				`${size} bytes exceeds the maximum of ${bytes} bytes!`);
+		}
+	};
+};
+
+/**
+ * @return {Array<Function>} - The rules applied by every chain, in order.
+ */
+const defaultRules = () => [
+	linkage(),
+	hashingAlgorithm(),
+	proofOfWork(),
+	signature(),
+];
+
+module.exports = {
+	defaultRules,
+	hashingAlgorithm,
+	linkage,
+	maxBlockSize,
+	proofOfWork,
+	rejection,
+	signature,
+	timestamp,
+};
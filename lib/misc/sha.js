@@ -1,18 +1,46 @@
 const crypto = require('crypto');
 
-const SHA1 = (data) =>
-	crypto.createHash('sha1').update(JSON.stringify(data)).digest('hex');
+const { canonicalize } = require('./canonical');
 
-const SHA224 = (data) =>
-	crypto.createHash('sha224').update(JSON.stringify(data)).digest('hex');
+const SHA1 = (data, encode = canonicalize) =>
+	crypto.createHash('sha1').update(encode(data)).digest('hex');
 
-const SHA256 = (data) =>
-	crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+const SHA224 = (data, encode = canonicalize) =>
+	crypto.createHash('sha224').update(encode(data)).digest('hex');
 
-const SHA384 = (data) =>
-	crypto.createHash('sha384').update(JSON.stringify(data)).digest('hex');
+const SHA256 = (data, encode = canonicalize) =>
+	crypto.createHash('sha256').update(encode(data)).digest('hex');
 
-const SHA512 = (data) =>
-	crypto.createHash('sha512').update(JSON.stringify(data)).digest('hex');
+const SHA384 = (data, encode = canonicalize) =>
+	crypto.createHash('sha384').update(encode(data)).digest('hex');
 
-module.exports = { SHA1, SHA224, SHA256, SHA384, SHA512 };
\ No newline at end of file
+const SHA512 = (data, encode = canonicalize) =>
+	crypto.createHash('sha512').update(encode(data)).digest('hex');
+
+const SHA3_256 = (data, encode = canonicalize) =>
+	crypto.createHash('sha3-256').update(encode(data)).digest('hex');
+
+const SHA3_384 = (data, encode = canonicalize) =>
+	crypto.createHash('sha3-384').update(encode(data)).digest('hex');
+
+const SHA3_512 = (data, encode = canonicalize) =>
+	crypto.createHash('sha3-512').update(encode(data)).digest('hex');
+
+const BLAKE2B512 = (data, encode = canonicalize) =>
+	crypto.createHash('blake2b512').update(encode(data)).digest('hex');
+
+const BLAKE2S256 = (data, encode = canonicalize) =>
+	crypto.createHash('blake2s256').update(encode(data)).digest('hex');
+
+module.exports = {
+	BLAKE2B512,
+	BLAKE2S256,
+	SHA1,
+	SHA224,
+	SHA256,
+	SHA384,
+	SHA512,
+	SHA3_256,
+	SHA3_384,
+	SHA3_512,
+};
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+/**
+ * Converts the given key (a KeyObject, or a PEM string or Buffer of either a 
+ * public or a private key) to a public KeyObject.
+ *
+ * @param  {crypto.KeyObject|string|Buffer} key
+ * @return {crypto.KeyObject}
+ */
+const toPublicKey = (key) => {
+	if(key instanceof crypto.KeyObject && key.type === 'public') {
+		return key;
+	}
+	return crypto.createPublicKey(key);
+};
+
+/**
+ * Computes the identifier of the given key, i.e. the SHA256 hash of its 
+ * public key in DER-encoded SPKI form.
+ *
+ * @param  {crypto.KeyObject|string|Buffer} key
+ * @return {string}
+ */
+const keyId = (key) => {
+	const der = toPublicKey(key).export({ type: 'spki', format: 'der' });
+	return crypto.createHash('sha256').update(der).digest('hex');
+};
+
+/**
+ * Ed25519 and Ed448 keys sign the message directly; other keys (ECDSA) sign a 
+ * SHA256 digest of it.
+ *
+ * @param  {crypto.KeyObject} key
+ * @return {string|null}
+ */
+const digestFor = (key) =>
+	['ed25519', 'ed448'].includes(key.asymmetricKeyType) ? null : 'sha256';
+
+/**
+ * Signs the given block hash with the given private key.
+ *
+ * @param  {string} hash - The block hash.
+ * @param  {crypto.KeyObject|string|Buffer} privateKey
+ * @return {string} - The base64-encoded signature.
+ */
+const signHash = (hash, privateKey) => {
+	if(!(privateKey instanceof crypto.KeyObject)) {
+		privateKey = crypto.createPrivateKey(privateKey);
+	}
+	return crypto.sign(digestFor(privateKey), Buffer.from(hash), privateKey)
+		.toString('base64');
+};
+
+/**
+ * Verifies the given signature of a block hash against the given public key.
+ *
+ * @param  {string} hash - The block hash.
+ * @param  {string} signature - The base64-encoded signature.
+ * @param  {crypto.KeyObject|string|Buffer} publicKey
+ * @return {Boolean}
+ */
+const verifyHash = (hash, signature, publicKey) => {
+	if(typeof hash !== 'string' || typeof signature !== 'string') {
+		return false;
+	}
+	try {
+		const key = toPublicKey(publicKey);
+		return crypto.verify(digestFor(key), Buffer.from(hash), key,
+			Buffer.from(signature, 'base64'));
+	} catch(e) {
+		return false;
+	}
+};
+
+module.exports = { keyId, signHash, toPublicKey, verifyHash };
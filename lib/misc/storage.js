@@ -0,0 +1,107 @@
+/*
+ * A registry of named storage modes. A storage mode is the pair of block and 
+ * chain classes returned by `index.js` for its name: the chain class reads 
+ * and writes through a {@link StorageAdapter}, whose class the mode is 
+ * registered with. The built-in modes are those of 
+ * {@link Constants.CHAIN_STORAGE_MODES}; their classes are only required 
+ * once the mode is first used.
+ */
+const Constants = require('../base/Constants');
+const StorageAdapter = require('../base/StorageAdapter');
+
+const { FILE, LOG, MONGO, NONE } = Constants.CHAIN_STORAGE_MODES;
+
+const BUILTIN_MODES = new Map([
+	[NONE, () => ({
+		Block: require('../base/Block'),
+		Chain: require('../base/Chain'),
+	})],
+	[FILE, () => ({
+		Block: require('../file/Block'),
+		Chain: require('../file/Chain'),
+	})],
+	[LOG, () => ({
+		Block: require('../base/Block'),
+		Chain: require('../log/Chain'),
+	})],
+	[MONGO, () => ({
+		Block: require('../mongo/Block'),
+		Chain: require('../mongo/Chain'),
+	})],
+]);
+
+const registry = new Map();
+
+/**
+ * @param  {string|null} name
+ * @return {Boolean}
+ */
+const isBuiltinStorageMode = (name) => BUILTIN_MODES.has(name);
+
+/**
+ * Registers a custom storage mode under the given name, whose chains store 
+ * their blocks and settings through the given adapter class. Built-in modes 
+ * cannot be replaced.
+ *
+ * @param  {string} name
+ * @param  {Function} Adapter - A class extending {@link StorageAdapter}.
+ * @return {Object} - `{ Block, Chain }`, the classes of the mode.
+ */
+const registerStorageMode = (name, Adapter) => {
+	if(!name || typeof name !== 'string') {
+		throw new Error(`Storage mode name must be a non-empty string!`);
+	}
+	if(typeof Adapter !== 'function' || 
+			!(Adapter.prototype instanceof StorageAdapter)) {
+		throw new Error(`Storage mode '${name}' adapter must extend ` + 
+			`'StorageAdapter'!`);
+	}
+	if(isBuiltinStorageMode(name)) {
+		throw new Error(`Cannot replace built-in storage mode '${name}'!`);
+	}
+
+	const BaseChain = require('../base/Chain');
+	class Chain extends BaseChain {
+		static get Storage() {
+			return Adapter;
+		}
+
+		static get storageMode() {
+			return name;
+		}
+	}
+
+	const mode = { Block: Adapter.Block, Chain };
+	registry.set(name, mode);
+	return mode;
+};
+
+/**
+ * @param  {string|null} [name=Constants.CHAIN_STORAGE_MODES.NONE]
+ * @return {Object} - `{ Block, Chain }`, the classes of the storage mode.
+ * @throws {Error} - If no storage mode is registered under the given name.
+ */
+const getStorageMode = (name = NONE) => {
+	if(!registry.has(name)) {
+		if(!isBuiltinStorageMode(name)) {
+			throw new Error(`Unknown storage mode '${name}'!`);
+		}
+		registry.set(name, BUILTIN_MODES.get(name)());
+	}
+	return registry.get(name);
+};
+
+/**
+ * @return {Array<string|null>} - The names of all storage modes.
+ */
+const storageModes = () => Array.from(new Set([
+		...BUILTIN_MODES.keys(),
+		...registry.keys(),
+	]));
+
+module.exports = {
+	getStorageMode,
+	isBuiltinStorageMode,
+	registerStorageMode,
+	storageModes,
+};
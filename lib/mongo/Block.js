@@ -13,6 +13,26 @@ const Constants = require('../base/Constants');
  */
 const Database = require('./Database');
 
+const { decodeAny, getCodec } = require('../misc/codecs');
+
+/**
+ * Returns the data of the given blocks collection document. Blocks stored 
+ * with a binary codec hold their encoded body in the 'body' field instead of 
+ * the 'data' field.
+ * 
+ * @param  {Object} document - A blocks collection document, either hydrated 
+ * 		or lean.
+ * @return {*}
+ */
+const documentData = (document) => {
+	const { body } = document;
+	if(!body) {
+		return document.data;
+	}
+	return decodeAny(Buffer.isBuffer(body) ? body : Buffer.from(body.buffer))
+		.data;
+};
+
 /**
  * A class for file-based block. This class extends the base {@link Block} 
  * class.
@@ -21,23 +41,64 @@ const Database = require('./Database');
  */
 class Block extends BaseBlock {
 
-	constructor(options) {
+	constructor(options = {}) {
 		super(options);
 
-		const { index=null } = options;
-		this._index = index;
+		const { index } = options;
+		if(typeof this._height === 'undefined' && typeof index === 'number') {
+			this._height = index;
+		}
 	}
 
+	/**
+	 * The height of the block, under the name of the 'index' field used to 
+	 * store it in the blocks collection.
+	 */
 	get index() {
-		return this._index;
+		return this._height;
 	}
 
 	/**
-	 * Writes the mongo-based block to the mongo database. If the database 
-	 * connection isn't established, this method will attempt to do so. This 
-	 * method overrides the extended class {@link Block}'s 'commit' method.
+	 * Creates a sealed block from the given blocks collection document.
+	 * 
+	 * @param  {Object} document - A blocks collection document.
+	 * @return {Block}
 	 */
-	async commit({ database, height }) {
+	static fromDocument(document) {
+		const fields = typeof document.toObject === 'function' ? 
+			document.toObject() : document;
+		return new Block({ ...fields, data: documentData(document) }).seal();
+	}
+
+	/**
+	 * Writes the mongo-based block to the mongo database. The block header 
+	 * fields are stored as they are written by every other backend, alongside 
+	 * the block data; the block height is stored in the 'index' field. The 
+	 * block is sealed once written. If the database connection isn't 
+	 * established, this method will attempt to do so. This method overrides 
+	 * the extended class {@link Block}'s 'commit' method.
+	 * 
+	 * @param {Database} database - The database to write the block to.
+	 * @param {number} height - The height of the block, used if the block 
+	 * 		does not record one.
+	 * @param {string} [codec=Constants.DEFAULT_CODEC] - The codec of the 
+	 * 		block body. JSON bodies are stored in the 'data' field, other 
+	 * 		bodies are encoded into the 'body' field.
+	 * @param {Boolean} [canonical=true] - Whether the block is part of the 
+	 * 		canonical chain, rather than of a side branch.
+	 * @param {StorageAdapter} [storage] - An adapter to write the block 
+	 * 		through instead, see {@link StorageAdapter.writeBlock}.
+	 */
+	async commit({
+		canonical=true,
+		database,
+		height,
+		codec=Constants.DEFAULT_CODEC,
+		storage
+	}) {
+		if(storage) {
+			return super.commit({ storage, canonical, codec, height });
+		}
 		if(!database || !(database instanceof Database)) {
 			throw new Error(`Must provide database reference to 'commit()'!`);
 		}
@@ -48,43 +109,51 @@ class Block extends BaseBlock {
 				if(!block) {
 					block = new database.blockModel();
 				}
-				block.index = this._index ? this._index : height;
-				block.data = this._data;
-				block.hash = this.hash;
-				block.nonce = this._nonce;
-				block.previous = this._previous;
-				block.salt = this._salt;
+				const { height: index=height, ...header } = 
+					this.header.toJSON();
+				block.set(header);
+				block.canonical = canonical;
+				block.index = index;
+				if(codec === Constants.CHAIN_CODECS.JSON) {
+					block.data = this._data;
+					block.body = undefined;
+				} else {
+					block.data = undefined;
+					block.body = getCodec(codec).encode(this.body);
+				}
 				return block.save();
+			}).then(result => {
+				this.seal();
+				return result;
 			});
 	}
 
 	/**
-	 * Loads a block from the mongodb collection with the specified block hash.
+	 * Loads the block matching the given query, either through the given 
+	 * storage adapter, see {@link StorageAdapter.readBlock}, or from the 
+	 * blocks collection of the given database by hash. This method overrides 
+	 * the extended class {@link Block}'s 'load' method.
 	 * 
-	 * @param  {string} hash - The specific block hash to load.
+	 * @param  {StorageAdapter|Database} storage - The adapter or database to 
+	 * 		read the block from.
+	 * @param  {Object} query - `{ hash, index, previous }`, or `{ hash }` 
+	 * 		for a database.
 	 * @return {Block}
 	 */
-	async load({ database, hash }) {
-		if(!database || !(database instanceof Database)) {
-			throw new Error(`Must provide database reference to 'commit()'!`);
+	static async load(storage, query) {
+		if(!(storage instanceof Database)) {
+			return super.load(storage, query);
 		}
 
-		await database.connect();
-		return database.blockModel.findOne({ hash })
+		const { hash } = query;
+		await storage.connect();
+		return storage.blockModel.findOne({ hash })
 			.then(block => {
-				if(block) {
-					this._index = block.index;
-					this._data = block.data;
-					this._hash = block.hash;
-					this._nonce = block.nonce;
-					this._previous = block.previous;
-					this._salt = block.salt;
-
-					return Promise.resolve(this);
-				} else {
+				if(!block) {
 					return Promise.reject(
 						new Error(`Error loading block with hash '${hash}'!`));
 				}
+				return Promise.resolve(Block.fromDocument(block));
 			});
 	}
 }
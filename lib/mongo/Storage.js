@@ -0,0 +1,381 @@
+/**
+ * @typedef {import('./Block')} Block
+ */
+const Block = require('./Block');
+
+/**
+ * @typedef {import('../base/BlockHeader')} BlockHeader
+ */
+const BlockHeader = require('../base/BlockHeader');
+
+/**
+ * @typedef {import('../base/Constants')} Constants
+ */
+const Constants = require('../base/Constants');
+
+/**
+ * @typedef {import('./Database')} Database
+ */
+const Database = require('./Database');
+
+/**
+ * @typedef {import('../base/StorageAdapter')} StorageAdapter
+ */
+const StorageAdapter = require('../base/StorageAdapter');
+
+/**
+ * The storage adapter of mongo-based chains. Blocks are stored in the blocks 
+ * collection, see {@link Block.commit}, flagged as canonical or not; the 
+ * settings of the chain are stored in the chains collection, under the name 
+ * of the database. This class extends the {@link StorageAdapter} class.
+ * 
+ * @class Storage
+ */
+class Storage extends StorageAdapter {
+	/**
+	 * @param {Object} options
+	 * @param {Database} options.database - The database of the chain.
+	 */
+	constructor(options = {}) {
+		super(options);
+
+		const { database=null } = options;
+
+		if(!database || !(database instanceof Database)) {
+			throw new Error(`Must provide database reference to constructor!`);
+		}
+
+		this._database = database;
+	}
+
+	/**
+	 * The class of the blocks read by the adapter, the mongo-based 
+	 * {@link Block}.
+	 * 
+	 * @return {Function}
+	 */
+	static get Block() {
+		return Block;
+	}
+
+	get database() {
+		return this._database;
+	}
+
+	/**
+	 * This method overrides the extended class {@link StorageAdapter}'s 
+	 * 'describe' method.
+	 * 
+	 * @return {Object} - `{ host, database }`.
+	 */
+	describe() {
+		return {
+			host: this._database.host,
+			database: this._database.name,
+		};
+	}
+
+	async open() {
+		await this._database.connect();
+	}
+
+	async close() {
+		await this._database.close();
+	}
+
+	/**
+	 * Builds the blocks collection query matching the given block query. 
+	 * Blocks are looked up by height or by parent on the canonical chain 
+	 * only, while a hash matches blocks of side branches as well.
+	 * 
+	 * @param  {Object} query - `{ hash, index, previous }`.
+	 * @return {Object}
+	 */
+	_query({ hash, index, previous }) {
+		let query = {};
+		if(hash) {
+			query.hash = hash;
+		} else {
+			query.canonical = { $ne: false };
+		}
+		if(typeof index !== 'undefined') {
+			query.index = index;
+		}
+		if(previous) {
+			query.previous = previous;
+		}
+		return query;
+	}
+
+	/**
+	 * This method overrides the extended class {@link StorageAdapter}'s 
+	 * 'readChain' method.
+	 * 
+	 * @return {Object|null} - The chains collection document of the chain.
+	 */
+	async readChain() {
+		await this._database.connect();
+		return this._database.chainModel
+			.findOne({ name: this._database.name })
+			.lean();
+	}
+
+	/**
+	 * This method overrides the extended class {@link StorageAdapter}'s 
+	 * 'writeChain' method.
+	 * 
+	 * @param  {Object} record
+	 * @return {Object} - The saved chains collection document.
+	 */
+	async writeChain(record) {
+		await this._database.connect();
+		const { chainModel, name } = this._database;
+		let chain = await chainModel.findOne({ name });
+		if(!chain) {
+			chain = new chainModel();
+		}
+		chain.set({ ...record, name });
+		return chain.save();
+	}
+
+	/**
+	 * This method overrides the extended class {@link StorageAdapter}'s 
+	 * 'readBlock' method.
+	 * 
+	 * @param  {Object} options - `{ hash, index, previous }`.
+	 * @return {Block}
+	 */
+	async readBlock(options) {
+		await this._database.connect();
+		const query = this._query(options);
+		const block = await this._database.blockModel.findOne(query);
+		if(!block) {
+			throw new Error(`Block query ${JSON.stringify(query)} failed!`);
+		}
+		return Block.fromDocument(block);
+	}
+
+	/**
+	 * Reads the header of the block matching the given query, leaving the 
+	 * block data and the encoded block body out of the query projection. 
+	 * This method overrides the extended class {@link StorageAdapter}'s 
+	 * 'readHeader' method.
+	 * 
+	 * @param  {Object} options - `{ hash, index, previous }`.
+	 * @return {BlockHeader}
+	 */
+	async readHeader(options) {
+		await this._database.connect();
+		const query = this._query(options);
+		const header = await this._database.blockModel
+			.findOne(query)
+			.select('-data -body')
+			.lean();
+		if(!header) {
+			throw new Error(`Block query ${JSON.stringify(query)} failed!`);
+		}
+		return new BlockHeader({ ...header, height: header.index });
+	}
+
+	/**
+	 * Yields the blocks of the canonical chain from one height to another 
+	 * through a single sorted cursor over the blocks collection. This method 
+	 * overrides the extended class {@link StorageAdapter}'s 'readBlocks' 
+	 * method.
+	 * 
+	 * @param {number} from - The height of the first block.
+	 * @param {number} to - The height of the last block.
+	 * @param {Boolean} headersOnly - Whether to yield block headers only.
+	 */
+	async *readBlocks(from, to, headersOnly) {
+		await this._database.connect();
+		const step = from <= to ? 1 : -1;
+		let cursor = this._database.blockModel
+			.find({
+				canonical: { $ne: false },
+				index: { $gte: Math.min(from, to), $lte: Math.max(from, to) },
+			})
+			.sort({ index: step });
+		if(headersOnly) {
+			cursor = cursor.select('-data -body').lean();
+		}
+
+		let height = from;
+		for await (const document of cursor.cursor()) {
+			if(document.index !== height) {
+				throw new Error(`Block query ` + 
+					`${JSON.stringify({ index: height })} failed!`);
+			}
+			height += step;
+			yield headersOnly ? 
+				new BlockHeader({ ...document, height: document.index }) : 
+				Block.fromDocument(document);
+		}
+		if(height !== to+step) {
+			throw new Error(`Block query ${JSON.stringify({ index: height })} ` + 
+				`failed!`);
+		}
+	}
+
+	/**
+	 * Reads a range of blocks with a single query, sorted and limited on the 
+	 * 'index' field. This method overrides the extended class 
+	 * {@link StorageAdapter}'s 'readRange' method.
+	 * 
+	 * @param  {Object} options - `{ from, to, order, limit, headersOnly }`.
+	 * @return {Array<Block|BlockHeader>}
+	 */
+	async readRange({ from, to, order, limit, headersOnly }) {
+		await this._database.connect();
+		const step = order === Constants.RANGE_ORDERS.ASC ? 1 : -1;
+		let query = this._database.blockModel
+			.find({
+				canonical: { $ne: false },
+				index: { $gte: from, $lte: to },
+			})
+			.sort({ index: step })
+			.limit(limit);
+		if(headersOnly) {
+			query = query.select('-data -body').lean();
+		}
+
+		const documents = await query;
+		const start = step > 0 ? from : to;
+		const count = Math.min(limit, to-from+1);
+		for(let i=0; i<count; i++) {
+			if(!documents[i] || documents[i].index !== start + i*step) {
+				throw new Error(`Block query ` + 
+					`${JSON.stringify({ index: start + i*step })} failed!`);
+			}
+		}
+		return documents.map(document => headersOnly ? 
+			new BlockHeader({ ...document, height: document.index }) : 
+			Block.fromDocument(document));
+	}
+
+	/**
+	 * Writes the given block to the blocks collection, flagged as canonical 
+	 * or not. This method overrides the extended class 
+	 * {@link StorageAdapter}'s 'writeBlock' method.
+	 * 
+	 * @param  {Block} block
+	 * @param  {Object} options - `{ canonical, codec, height }`.
+	 * @return {Object} - The saved blocks collection document.
+	 */
+	async writeBlock(block, { canonical, codec, height }) {
+		return block.commit({
+				canonical,
+				database: this._database,
+				height,
+				codec,
+			});
+	}
+
+	/**
+	 * Flags the given blocks as canonical or not. This method overrides the 
+	 * extended class {@link StorageAdapter}'s 'setCanonical' method.
+	 * 
+	 * @param {Array<Block>} blocks
+	 * @param {Boolean} canonical
+	 */
+	async setCanonical(blocks, canonical) {
+		await this._database.connect();
+		await this._database.blockModel.updateMany(
+			{ hash: { $in: blocks.map(b => b.hash) } },
+			{ $set: { canonical } });
+	}
+
+	/**
+	 * Flags the disconnected blocks, then the connected blocks; if the 
+	 * connected blocks cannot be flagged, the flags of both are reset, as 
+	 * some of the connected blocks may have been flagged already. This 
+	 * method overrides the extended class {@link StorageAdapter}'s 
+	 * 'reorganise' method.
+	 * 
+	 * @param {Array<Block>} disconnect
+	 * @param {Array<Block>} connect
+	 */
+	async reorganise(disconnect, connect) {
+		await this.setCanonical(disconnect, false);
+		try {
+			await this.setCanonical(connect, true);
+		} catch(err) {
+			await this.setCanonical(connect, false);
+			await this.setCanonical(disconnect, true);
+			throw err;
+		}
+	}
+
+	/**
+	 * Applies a batch all or nothing, writing before deleting. The appended 
+	 * blocks are first written flagged as side branch blocks, then flagged 
+	 * canonical in place of the deleted blocks, whose documents are deleted 
+	 * last; an interrupted batch thus leaves side branch documents at worst. 
+	 * If a step fails, the written documents are deleted, the documents they 
+	 * overwrote restored and the deleted blocks flagged canonical again. This 
+	 * method overrides the extended class {@link StorageAdapter}'s 
+	 * 'replaceBlocks' method.
+	 * 
+	 * @param {Array<Block>} remove - The blocks to delete, from the tip down.
+	 * @param {Array<Block>} append - The blocks to append, in order.
+	 * @param {Object} options - `{ codec, height }`.
+	 */
+	async replaceBlocks(remove, append, { codec, height }) {
+		await this._database.connect();
+		const { blockModel } = this._database;
+		const overwritten = await blockModel
+			.find({ hash: { $in: append.map(b => b.hash) } })
+			.lean();
+		const removed = (await blockModel
+			.find({
+				canonical: { $ne: false },
+				hash: { $in: remove.map(b => b.hash) },
+			})
+			.select('_id')
+			.lean()).map(document => String(document._id));
+		const flag = (ids, canonical) => blockModel.updateMany(
+			{ _id: { $in: ids } },
+			{ $set: { canonical } });
+
+		const written = [];
+		try {
+			for(let i=0; i<append.length; i++) {
+				const document = await append[i].commit({
+						canonical: false,
+						database: this._database,
+						height: height+i,
+						codec,
+					});
+				written.push(String(document._id));
+			}
+			await flag(removed, false);
+			await flag(written, true);
+		} catch(err) {
+			await blockModel.deleteMany({ _id: { $in: written } });
+			await blockModel.insertMany(overwritten);
+			await flag(removed, true);
+			throw err;
+		}
+
+		await blockModel.deleteMany({
+			_id: { $in: removed.filter(id => !written.includes(id)) },
+		});
+	}
+
+	/**
+	 * Creates an adapter for a database of the same host. Please note that 
+	 * the clone name MUST BE different than the original name, else there is 
+	 * risk that the clone will overwrite the original in the mongo database. 
+	 * This method overrides the extended class {@link StorageAdapter}'s 
+	 * 'clone' method.
+	 * 
+	 * @param  {Object} [options={}]
+	 * @param  {string} [options.name] - The database name of the copy.
+	 * @return {Storage}
+	 */
+	clone({ name } = {}) {
+		return new Storage({ database: this._database.clone(name) });
+	}
+}
+
+module.exports = Storage;
@@ -1,25 +1,62 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+/**
+ * @typedef {import('../../base/Constants')} Constants
+ */
+const Constants = require('../../base/Constants');
+
 /*
  * Anatomy of a {@link Block}:
  * 		{
+ * 			@property {Buffer} body
+ * 			@property {Boolean} canonical
  * 			@property {*} data
+ * 			@property {number} difficulty
  * 			@property {string} hash
+ * 			@property {string} hashingAlgorithm
  * 			@property {number } nonce
  * 			@property {string} previous
+ * 			@property {string} root
  * 			@property {string} salt
+ * 			@property {string} signature
+ * 			@property {string} signer
+ * 			@property {number} timestamp
+ * 			@property {number} version
  * 		}
  */
 let BlockSchema = new Schema({
 	index: {type: Number, required: true, default: 0},
+    body: {type: Buffer, required: false},
+    canonical: {type: Boolean, required: true, default: true},
     data: {type: Object, required: false, default: []},
+    difficulty: {type: Number, required: true,
+    	default: Constants.DEFAULT_DIFFICULTY},
     hash: {type: String, required: true},
+    hashingAlgorithm: {type: String, required: true,
+    	default: Constants.DEFAULT_HASHING_ALGORITHM},
     nonce: {type: Number, required: true},
     previous: {type: String, required: true},
-    salt: {type: String, required: true}
+    root: {type: String, required: false},
+    salt: {type: String, required: true},
+    signature: {type: String, required: false},
+    signer: {type: String, required: false},
+    timestamp: {type: Number, required: false},
+    version: {type: Number, required: true,
+    	default: Constants.LEGACY_BLOCK_VERSION}
 });
 
+/*
+ * Range queries and iterations read the canonical chain sorted by height.
+ */
+BlockSchema.index({ index: 1, canonical: 1 });
+
+/*
+ * Blocks are looked up by hash on every add, to find their parent and reject 
+ * duplicates, and a block is stored once whichever branch it belongs to.
+ */
+BlockSchema.index({ hash: 1 }, { unique: true });
+
 module.exports = {
 	BlockSchema,
 };
\ No newline at end of file
@@ -12,12 +12,28 @@ const Constants = require('../../base/Constants');
  * 			@property {Array<Block>} blocks
  * 			@property {Boolean} autocommit
  * 			@property {Number} autocommitTimeoutMs
+ * 			@property {String} codec
+ * 			@property {Number} difficulty
+ * 			@property {String} hashingAlgorithm
  * 			@property {String} name
+ * 			@property {Object} retarget
+ * 			@property {Array<Object>} signers
  * 		}
  */
 let ChainSchema = new Schema({
+    codec: {type: String, required: false,
+    	default: Constants.DEFAULT_CODEC },
+    difficulty: {type: Number, required: false,
+    	default: Constants.DEFAULT_DIFFICULTY },
+    hashingAlgorithm: {type: String, required: false,
+    	default: Constants.DEFAULT_HASHING_ALGORITHM },
     height: {type: Number, required: false, default: 0 },
-    name: {type: String, required: true}
+    name: {type: String, required: true},
+    retarget: {type: Object, required: false, default: null },
+    signers: [{
+    	id: {type: String, required: true},
+    	publicKey: {type: String, required: true}
+    }]
 });
 
 module.exports = {
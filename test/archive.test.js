@@ -0,0 +1,82 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const { describe, it } = require('node:test');
+
+const {
+	blockchain,
+	mine,
+	roundTrip,
+	tags,
+	temporaryDirectory,
+} = require('./helpers');
+
+const { Block, Chain } = blockchain();
+
+/**
+ * Creates a chain of three blocks signed with the given key pair.
+ *
+ * @param  {Object} keyPair - `{ privateKey, publicKey }`.
+ * @return {Chain}
+ */
+const signedChain = async ({ privateKey, publicKey }) => {
+	const chain = new Chain({ difficulty: 1, signers: [publicKey] });
+	let parent = null;
+	for(let i=0; i<3; i++) {
+		parent = mine(Block, parent, [`signed-${i}`]);
+		parent.sign(privateKey);
+		await chain.add(parent);
+	}
+	return chain;
+};
+
+describe('Chain.import', () => {
+	it('imports an archive into a chain of another backend', async (t) => {
+		const keys = crypto.generateKeyPairSync('ed25519');
+		const chain = await signedChain(keys);
+		const directory = temporaryDirectory(t);
+
+		const imported = await roundTrip(chain, blockchain('log').Chain, {
+				difficulty: 1,
+				directory,
+				signers: [keys.publicKey],
+			});
+		assert.strictEqual(imported.height, 3);
+		assert.deepStrictEqual(await tags(imported),
+			['signed-0', 'signed-1', 'signed-2']);
+		assert.ok(await imported.equals(chain));
+	});
+
+	it('rejects an archive signed by an untrusted key', async (t) => {
+		const trusted = crypto.generateKeyPairSync('ed25519');
+		const untrusted = crypto.generateKeyPairSync('ed25519');
+		const chain = await signedChain(untrusted);
+		const directory = temporaryDirectory(t);
+
+		await assert.rejects(roundTrip(chain, blockchain('log').Chain, {
+				difficulty: 1,
+				directory,
+				signers: [trusted.publicKey],
+			}), /does not match the chain settings: signers!/);
+		assert.ok(!fs.readdirSync(directory).some(name => /\.log$/.test(name)));
+	});
+
+	it('rejects an archive of other consensus settings', async () => {
+		const chain = await signedChain(crypto.generateKeyPairSync('ed25519'));
+		const signers = chain.signers.toJSON();
+
+		await assert.rejects(roundTrip(chain, Chain, { signers }),
+			/does not match the chain settings: difficulty!/);
+		await assert.rejects(roundTrip(chain, Chain, {
+				difficulty: 1,
+				hashingAlgorithm: 'SHA512',
+				signers,
+			}), /hashingAlgorithm/);
+
+		const imported = await roundTrip(chain, Chain, {
+				difficulty: 1,
+				signers,
+			});
+		assert.strictEqual(imported.height, 3);
+	});
+});
@@ -0,0 +1,111 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const {
+	blockchain,
+	extend,
+	mine,
+	tags,
+	temporaryDirectory,
+} = require('./helpers');
+
+const MODES = [null, 'file', 'log'];
+
+/**
+ * Creates an empty chain of the given storage mode, accepting unsigned
+ * blocks.
+ *
+ * @param  {TestContext} t
+ * @param  {string|null} mode
+ * @return {Chain}
+ */
+const createChain = async (t, mode) => {
+	const { Chain } = blockchain(mode);
+	const chain = new Chain({
+			allowUnsigned: true,
+			difficulty: 1,
+			directory: mode ? temporaryDirectory(t) : undefined,
+		});
+	if(chain.storage) {
+		await chain.commit();
+	}
+	return chain;
+};
+
+for(const mode of MODES) {
+	describe(`Chain (${mode || 'memory'})`, () => {
+		it('reorganises onto a branch with more work', async (t) => {
+			const chain = await createChain(t, mode);
+			const [genesis, a1] = await extend(chain, null, 3, 'a');
+			const reorgs = [];
+			chain.on('reorg', report => reorgs.push(report));
+
+			const b2 = mine(chain.constructor.Block, a1, ['b-2']);
+			await chain.add(b2);
+			assert.deepStrictEqual(await tags(chain), ['a-0', 'a-1', 'a-2']);
+			assert.strictEqual(reorgs.length, 0);
+
+			await chain.add(mine(chain.constructor.Block, b2, ['b-3']));
+			assert.strictEqual(chain.height, 4);
+			assert.deepStrictEqual(await tags(chain),
+				['a-0', 'a-1', 'b-2', 'b-3']);
+			assert.strictEqual(reorgs.length, 1);
+			assert.strictEqual((await chain.get({ index: 0 })).hash,
+				genesis.hash);
+			assert.ok(await chain.verify(false));
+		});
+
+		it('truncates the chain and pops its top block', async (t) => {
+			const chain = await createChain(t, mode);
+			const blocks = await extend(chain, null, 5);
+
+			const removed = await chain.truncate(3);
+			assert.deepStrictEqual(removed.map(b => b.hash),
+				blocks.slice(3).map(b => b.hash));
+			assert.strictEqual(chain.height, 3);
+
+			const popped = await chain.popBlock();
+			assert.strictEqual(popped.hash, blocks[2].hash);
+			assert.strictEqual(chain.height, 2);
+			await assert.rejects(chain.get({ index: 2 }));
+			await assert.rejects(chain.truncate(3), RangeError);
+
+			await chain.add(mine(chain.constructor.Block, blocks[1], ['c']));
+			assert.deepStrictEqual(await tags(chain),
+				['block-0', 'block-1', 'c']);
+
+			await chain.truncate(0);
+			assert.strictEqual(chain.height, 0);
+			assert.strictEqual(await chain.popBlock(), null);
+		});
+
+		it('applies a batch all or nothing', async (t) => {
+			const chain = await createChain(t, mode);
+			const Block = chain.constructor.Block;
+			const [, a1, a2] = await extend(chain, null, 3, 'a');
+
+			const b2 = mine(Block, a1, ['b-2']);
+			const orphan = mine(Block, null, ['orphan'], { height: 3 });
+			await assert.rejects(chain.batch()
+				.delete(a2.hash)
+				.add(b2)
+				.add(orphan)
+				.commit());
+			assert.strictEqual(chain.height, 3);
+			assert.deepStrictEqual(await tags(chain), ['a-0', 'a-1', 'a-2']);
+			assert.ok((await chain.validate()).valid);
+
+			const b3 = mine(Block, b2, ['b-3']);
+			const { added, removed } = await chain.batch()
+				.delete()
+				.add(b2)
+				.add(b3)
+				.commit();
+			assert.strictEqual(added.length, 2);
+			assert.strictEqual(removed.length, 1);
+			assert.deepStrictEqual(await tags(chain),
+				['a-0', 'a-1', 'b-2', 'b-3']);
+			assert.ok((await chain.validate()).valid);
+		});
+	});
+}
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+
+const blockchain = require('..');
+
+const { Constants } = blockchain();
+
+/**
+ * Mines a block of difficulty 1 on top of the given parent.
+ *
+ * @param  {Function} Block - The block class of the chain.
+ * @param  {Block|null} parent - The parent block, null for a genesis block.
+ * @param  {*} data - The data of the block.
+ * @param  {Object} [options={}] - Other options of the block.
+ * @return {Block}
+ */
+const mine = (Block, parent, data, options = {}) => {
+	const block = new Block({
+			data,
+			difficulty: 1,
+			height: parent ? parent.height + 1 : 0,
+			previous: parent ? parent.hash : Constants.GENESIS_HASH,
+			...options,
+		});
+	block.mineSync();
+	return block;
+};
+
+/**
+ * Mines the given number of blocks on top of the given parent and adds them
+ * to the chain.
+ *
+ * @param  {Chain} chain
+ * @param  {Block|null} parent
+ * @param  {number} count
+ * @param  {string} [tag='block'] - The prefix of the data of the blocks.
+ * @return {Array<Block>} - The added blocks.
+ */
+const extend = async (chain, parent, count, tag = 'block') => {
+	const blocks = [];
+	for(let i=0; i<count; i++) {
+		parent = mine(chain.constructor.Block, parent, [`${tag}-${i}`]);
+		await chain.add(parent);
+		blocks.push(parent);
+	}
+	return blocks;
+};
+
+/**
+ * @param  {Chain} chain
+ * @return {Array<*>} - The first data entry of every canonical block.
+ */
+const tags = async (chain) => {
+	const data = [];
+	for await (const block of chain.blocksFrom()) {
+		data.push(block.data[0]);
+	}
+	return data;
+};
+
+/**
+ * Creates an empty directory, deleted once the given test is done.
+ *
+ * @param  {TestContext} t
+ * @return {string}
+ */
+const temporaryDirectory = (t) => {
+	const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'blockchain-'));
+	t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+	return directory;
+};
+
+/**
+ * Exports the given chain and imports the archive with the given chain class
+ * and options.
+ *
+ * @param  {Chain} chain
+ * @param  {Function} Chain - The chain class to import with.
+ * @param  {Object} [options={}]
+ * @return {Chain}
+ */
+const roundTrip = async (chain, Chain, options = {}) => {
+	const stream = new PassThrough();
+	const [imported] = await Promise.all([
+		Chain.import(stream, options),
+		chain.export(stream),
+	]);
+	return imported;
+};
+
+module.exports = {
+	blockchain,
+	extend,
+	mine,
+	roundTrip,
+	tags,
+	temporaryDirectory,
+};
@@ -0,0 +1,63 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { blockchain, mine } = require('./helpers');
+
+const { Block, Chain, Constants, Ledger } = blockchain();
+const { REJECTION_CODES } = Constants;
+
+/**
+ * Creates a chain checked by a ledger in which alice holds 10.
+ *
+ * @return {Object} - `{ chain, ledger }`.
+ */
+const createLedger = () => {
+	const chain = new Chain({ allowUnsigned: true, difficulty: 1 });
+	const ledger = new Ledger(chain, {
+			balances: { alice: 10 },
+			snapshotInterval: 2,
+		});
+	chain.use(ledger.rule());
+	return { chain, ledger };
+};
+
+describe('Ledger', () => {
+	it('rejects a block which overdraws an account', async () => {
+		const { chain, ledger } = createLedger();
+		const genesis = mine(Block, null, [{ from: 'alice', to: 'bob',
+			amount: 6 }]);
+		await chain.add(genesis);
+
+		const overdraft = mine(Block, genesis, [{ from: 'alice', to: 'carol',
+			amount: 5 }]);
+		await assert.rejects(chain.add(overdraft),
+			{ code: REJECTION_CODES.OVERDRAFT });
+		await assert.rejects(chain.batch().add(overdraft).commit(),
+			{ code: REJECTION_CODES.OVERDRAFT });
+		assert.strictEqual(chain.height, 1);
+		assert.strictEqual(await ledger.balanceOf('alice'), 4);
+		assert.strictEqual(await ledger.balanceOf('carol'), 0);
+
+		await chain.add(mine(Block, genesis, [{ from: 'alice', to: 'carol',
+			amount: 4 }]));
+		assert.strictEqual(await ledger.balanceOf('alice'), 0);
+		assert.strictEqual(await ledger.balanceOf('carol'), 4);
+	});
+
+	it('rejects repeated transaction ids only', async () => {
+		const { chain, ledger } = createLedger();
+		const transfer = { from: 'alice', to: 'bob', amount: 1 };
+		let parent = null;
+		for(let i=0; i<4; i++) {
+			parent = mine(Block, parent, [transfer, { ...transfer, id: i }]);
+			await chain.add(parent);
+		}
+		assert.strictEqual(await ledger.balanceOf('bob'), 8);
+		assert.deepStrictEqual((await ledger.snapshot()).transactions,
+			['0', '1', '2', '3']);
+
+		await assert.rejects(chain.add(mine(Block, parent,
+			[{ ...transfer, id: 2 }])),
+			{ code: REJECTION_CODES.DUPLICATE_TRANSACTION });
+	});
+});
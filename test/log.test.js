@@ -0,0 +1,150 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { describe, it } = require('node:test');
+
+const {
+	blockchain,
+	extend,
+	mine,
+	tags,
+	temporaryDirectory,
+} = require('./helpers');
+
+const { Block, Chain } = blockchain('log');
+
+/**
+ * Creates a log chain of the given number of blocks in a new directory, and
+ * closes it.
+ *
+ * @param  {TestContext} t
+ * @param  {number} count
+ * @return {Object} - `{ blocks, directory }`.
+ */
+const createLog = async (t, count) => {
+	const directory = temporaryDirectory(t);
+	const chain = new Chain({ allowUnsigned: true, difficulty: 1, directory,
+		segmentSize: 512 });
+	const blocks = await extend(chain, null, count);
+	await chain.commit();
+	await chain.close();
+	return { blocks, directory };
+};
+
+/**
+ * @param  {string} directory
+ * @return {Chain} - The chain loaded from the given directory.
+ */
+const loadLog = (directory) =>
+	new Chain({ allowUnsigned: true, directory }).load();
+
+/**
+ * Makes the next write of the given storage fail, as a crash would, once the
+ * given method of the storage is reached.
+ *
+ * @param {StorageAdapter} storage
+ * @param {string} method
+ */
+const crashAt = (storage, method) => {
+	storage[method] = async () => {
+		throw new Error('crash');
+	};
+};
+
+describe('Log storage', () => {
+	it('recovers from torn index entries and records', async (t) => {
+		const { blocks, directory } = await createLog(t, 6);
+		const segments = fs.readdirSync(directory)
+			.filter(name => /\.log$/.test(name))
+			.sort();
+		assert.ok(segments.length > 1);
+
+		const hashes = path.join(directory, 'hashes.idx');
+		fs.truncateSync(hashes, fs.statSync(hashes).size - 3);
+		const heights = path.join(directory, 'heights.idx');
+		fs.truncateSync(heights, fs.statSync(heights).size - 5);
+		fs.appendFileSync(path.join(directory, segments[segments.length-1]),
+			Buffer.from([0, 0, 0, 9, 0, 0]));
+
+		const chain = await loadLog(directory);
+		assert.strictEqual(chain.height, 6);
+		assert.ok(await chain.verify(false));
+		assert.strictEqual((await chain.get({ hash: blocks[5].hash })).hash,
+			blocks[5].hash);
+
+		await extend(chain, blocks[5], 1, 'after');
+		assert.strictEqual(chain.height, 7);
+		await chain.close();
+	});
+
+	it('indexes a record written before a crash', async (t) => {
+		const { blocks, directory } = await createLog(t, 3);
+		const chain = await loadLog(directory);
+		crashAt(chain.storage, '_commit');
+		await assert.rejects(chain.add(mine(Block, blocks[2], ['lost'])));
+
+		const recovered = await loadLog(directory);
+		assert.strictEqual(recovered.height, 4);
+		assert.strictEqual((await recovered.get({ index: 3 })).data[0], 'lost');
+		assert.ok(await recovered.verify(false));
+		await recovered.close();
+	});
+
+	it('replays an interrupted index commit', async (t) => {
+		const { blocks, directory } = await createLog(t, 3);
+		const chain = await loadLog(directory);
+		crashAt(chain.storage, '_apply');
+		await assert.rejects(chain.batch()
+			.delete()
+			.add(mine(Block, blocks[1], ['replaced']))
+			.commit());
+
+		const recovered = await loadLog(directory);
+		assert.strictEqual(recovered.height, 3);
+		assert.deepStrictEqual(await tags(recovered),
+			['block-0', 'block-1', 'block-2']);
+		assert.ok(!fs.existsSync(path.join(directory, '.commit')));
+
+		const { storage } = recovered;
+		crashAt(storage, '_apply');
+		await assert.rejects(recovered.add(mine(Block, blocks[2], ['next'])));
+		assert.ok(fs.existsSync(path.join(directory, '.commit')));
+
+		const replayed = await loadLog(directory);
+		assert.strictEqual(replayed.height, 4);
+		assert.strictEqual((await replayed.get({ index: 3 })).data[0], 'next');
+		assert.ok(!fs.existsSync(path.join(directory, '.commit')));
+		await replayed.close();
+	});
+
+	it('does not index a record off the canonical tip', async (t) => {
+		const { blocks, directory } = await createLog(t, 4);
+		const chain = await loadLog(directory);
+		const { storage } = chain;
+		crashAt(storage, '_commit');
+		await assert.rejects(storage.writeBlock(
+			mine(Block, blocks[1], ['stale']), {
+				canonical: true,
+				codec: chain.codec,
+				height: 4,
+			}));
+
+		const recovered = await loadLog(directory);
+		assert.strictEqual(recovered.height, 4);
+		assert.ok(await recovered.verify(false));
+		await recovered.close();
+	});
+
+	it('rejects blocks added to a chain which was not loaded', async (t) => {
+		const { directory } = await createLog(t, 3);
+		const chain = new Chain({ allowUnsigned: true, difficulty: 1,
+			directory });
+		await assert.rejects(chain.add(mine(Block, null, ['genesis'])),
+			/on top of a stored chain of height 3!/);
+
+		const loaded = await loadLog(directory);
+		assert.strictEqual(loaded.height, 3);
+		assert.ok(await loaded.verify(false));
+		await loaded.close();
+	});
+});
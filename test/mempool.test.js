@@ -0,0 +1,46 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { blockchain, mine } = require('./helpers');
+
+const { Block, Chain, Mempool } = blockchain();
+
+describe('Mempool', () => {
+	it('restores the entries of a popped block', async () => {
+		const chain = new Chain({ allowUnsigned: true, difficulty: 1 });
+		const pool = new Mempool(chain, { maxEntries: 2 });
+		pool.add({ v: 1 });
+		pool.add({ v: 2 });
+		pool.add({ v: 3 });
+
+		const block = await pool.mine();
+		await chain.add(block);
+		assert.deepStrictEqual(block.data, [{ v: 1 }, { v: 2 }]);
+		assert.deepStrictEqual(pool.entries(), [{ v: 3 }]);
+
+		await chain.popBlock();
+		assert.strictEqual(chain.height, 0);
+		assert.deepStrictEqual(pool.entries(),
+			[{ v: 1 }, { v: 2 }, { v: 3 }]);
+		pool.close();
+	});
+
+	it('restores the entries of blocks disconnected by a reorg', async () => {
+		const chain = new Chain({ allowUnsigned: true, difficulty: 1 });
+		const pool = new Mempool(chain);
+		const genesis = mine(Block, null, ['genesis']);
+		await chain.add(genesis);
+
+		pool.add({ v: 1 });
+		pool.add({ v: 2 });
+		await chain.add(await pool.mine());
+		assert.strictEqual(pool.size, 0);
+
+		const branch = mine(Block, genesis, [{ v: 2 }]);
+		await chain.add(branch);
+		await chain.add(mine(Block, branch, [{ v: 4 }]));
+		assert.strictEqual(chain.height, 3);
+		assert.deepStrictEqual(pool.entries(), [{ v: 1 }]);
+		pool.close();
+	});
+});
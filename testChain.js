@@ -5,6 +5,7 @@ const util = require('util');
 const { CHAIN_STORAGE_MODES, GENESIS_HASH } = require('./lib/base/Constants');
 const sha2img = require('./lib/misc/sha2img');
 const Database = require('./lib/mongo/Database');
+const { getStorageMode } = require('./lib/misc/storage');
 
 const FLAG_CHAIN_STORAGE_MODE = 
 	process.argv[2]
@@ -14,8 +15,6 @@ const FLAG_CHAIN_STORAGE_MODE =
 		.toLowerCase();
 
 let chainStorageMode;
-let Block;
-let Chain;
 
 console.log(`Using '${FLAG_CHAIN_STORAGE_MODE}' mode for chain.`);
 
@@ -23,6 +22,9 @@ switch(FLAG_CHAIN_STORAGE_MODE) {
 	case 'file':
 		chainStorageMode = CHAIN_STORAGE_MODES.FILE;
 		break;
+	case 'log':
+		chainStorageMode = CHAIN_STORAGE_MODES.LOG;
+		break;
 	case 'mongo':
 		chainStorageMode = CHAIN_STORAGE_MODES.MONGO;
 		break;
@@ -31,19 +33,7 @@ switch(FLAG_CHAIN_STORAGE_MODE) {
 		break;
 }
 
-switch(chainStorageMode) {
-	case CHAIN_STORAGE_MODES.FILE:
-		Block = require('./lib/file/Block');
-		Chain = require('./lib/file/Chain');
-		break;
-	case CHAIN_STORAGE_MODES.MONGO:
-		Block = require('./lib/mongo/Block');
-		Chain = require('./lib/mongo/Chain');
-		break;
-	default:
-		Block = require('./lib/base/Block.js');
-		Chain = require('./lib/base/Chain.js');
-}
+const { Block, Chain } = getStorageMode(chainStorageMode);
 
 const createTransactions = () => {
 	let transactions = [];
@@ -71,8 +61,11 @@ const addBlocks = async(chain) => {
 	for(let i=0; i<nBlocksToAdd; i++) {
 		const block = new Block({
 			previous: previousHash,
-			data: createTransactions()
+			data: createTransactions(),
+			difficulty: await chain.difficultyAt(),
+			height: chain.height
 		});
+		await block.mine();
 
 		try {
 			await chain.add(block);
@@ -106,6 +99,7 @@ const printChain = async (chain) => {
 	switch(chainStorageMode) {
 		case CHAIN_STORAGE_MODES.MONGO:
 		case CHAIN_STORAGE_MODES.FILE:
+		case CHAIN_STORAGE_MODES.LOG:
 			await chain.walk({ operation: printOp });
 			break;
 		default:
@@ -168,17 +162,22 @@ const main = async () => {
 					name: 'testChain',
 				});
 			testChain = new Chain({
+					allowUnsigned: true,
 					database: db,
 					autocommitTimeoutMs: 1000
 				});
 			break;
 		case CHAIN_STORAGE_MODES.FILE:
 			// For file-based blockchain:
-			testChain = new Chain({ directory: `./test-chain` });
+			testChain = new Chain({ allowUnsigned: true, directory: `./test-chain` });
+			break;
+		case CHAIN_STORAGE_MODES.LOG:
+			// For log-based blockchain:
+			testChain = new Chain({ allowUnsigned: true, directory: `./test-chain` });
 			break;
 		default:
 			// For non-persistent, in-memory only blockchain:
-			testChain = new Chain();
+			testChain = new Chain({ allowUnsigned: true });
 	}
 
 	try {